@@ -10,11 +10,34 @@
  * - Player statistics and game information
  * - Responsive design and animations
  * - Error handling and user notifications
+ * - Step-by-step replays of finished games
+ * - Read-only spectator view of games in progress
+ * - Host controls to add AI bot opponents, kick players and hand over hosting
+ * - Ready check before the host can start
+ * - Live turn clock countdown
+ * - Idle player warnings, with a vote to skip the turn of or kick an idle opponent
+ * - Private games joined with an invite code or a shareable link
+ * - Lobby and per-game chat, kept apart from the system message log
+ * - Board and validation driven by each game's rule set, using the rules engine
+ *   shared with the server (MonsterRules, loaded from /shared/rules.js)
+ * - Fog-of-war games: unseen squares are shaded and hidden enemy monsters shown as "?"
+ * - Versioned state kept in sync with small patches applied in place
+ * - Typed game events (placements, moves, combat, eliminations, turns) written to the
+ *   log and animated on the board
+ *   (MonsterStatePatch, loaded from /shared/statePatch.js)
  */
 
 document.addEventListener("DOMContentLoaded", () => {
-    // Initialize Socket.IO connection
-    const socket = io();
+    // Signed session token that keeps the player's identity across refreshes
+    const SESSION_STORAGE_KEY = "monsterMayhemSession";
+
+    // Classic rules, used until the server sends a game's own rule set
+    const DEFAULT_RULES = { boardSize: 10, maxPlayers: 4, eliminationThreshold: 10, diagonalRange: 2 };
+
+    // Initialize Socket.IO connection, presenting the stored session on every (re)connect
+    const socket = io({
+        auth: (cb) => cb({ token: localStorage.getItem(SESSION_STORAGE_KEY) })
+    });
 
     // 
     // UI ELEMENT REFERENCES
@@ -26,25 +49,56 @@ document.addEventListener("DOMContentLoaded", () => {
     const globalGamesPlayed = document.getElementById("global-games-played");
     const playerWins = document.getElementById("player-wins");
     const playerLosses = document.getElementById("player-losses");
+    const playerRating = document.getElementById("player-rating");
 
     // Lobby Elements
     const lobbyDiv = document.getElementById("lobby");
     const createGameBtn = document.getElementById("create-game-btn");
+    const boardSizeOption = document.getElementById("option-board-size");
+    const maxPlayersOption = document.getElementById("option-max-players");
+    const eliminationOption = document.getElementById("option-elimination");
+    const diagonalRangeOption = document.getElementById("option-diagonal-range");
+    const privateOption = document.getElementById("option-private");
+    const fogOption = document.getElementById("option-fog");
+    const inviteCodeInput = document.getElementById("invite-code-input");
+    const joinCodeBtn = document.getElementById("join-code-btn");
     const availableGamesList = document.getElementById("available-games-list");
     const noGamesMessage = document.getElementById("no-games-message");
+    const replaysList = document.getElementById("replays-list");
+    const noReplaysMessage = document.getElementById("no-replays-message");
+    const leaderboardList = document.getElementById("leaderboard-list");
+    const noLeaderboardMessage = document.getElementById("no-leaderboard-message");
 
     // Game Area Elements
     const gameAreaDiv = document.getElementById("game-area");
     const gameIdDisplay = document.getElementById("game-id");
     const gameStatus = document.getElementById("game-status");
+    const inviteInfo = document.getElementById("invite-info");
+    const invitePrivateBadge = document.getElementById("invite-private-badge");
+    const inviteCodeDisplay = document.getElementById("invite-code");
+    const copyInviteBtn = document.getElementById("copy-invite-btn");
     const turnInfo = document.getElementById("turn-info");
+    const turnTimer = document.getElementById("turn-timer");
+    const turnTimerValue = document.getElementById("turn-timer-value");
+    const idleVote = document.getElementById("idle-vote");
+    const idleVoteLabel = document.getElementById("idle-vote-label");
+    const voteSkipBtn = document.getElementById("vote-skip-btn");
+    const voteKickBtn = document.getElementById("vote-kick-btn");
     const roundNumber = document.getElementById("round-number");
     const playersContainer = document.getElementById("players-container");
     const startGameBtn = document.getElementById("start-game-btn");
+    const readyBtn = document.getElementById("ready-btn");
+    const readyBtnLabel = document.getElementById("ready-btn-label");
+    const leaveSpectateBtn = document.getElementById("leave-spectate-btn");
+    const addBotControls = document.getElementById("add-bot-controls");
+    const botDifficultySelect = document.getElementById("bot-difficulty");
+    const addBotBtn = document.getElementById("add-bot-btn");
 
     // Game Board
     const boardContainer = document.getElementById("board-container");
     const gameBoard = document.getElementById("game-board");
+    const coordTop = document.getElementById("coord-top");
+    const coordLeft = document.getElementById("coord-left");
 
     // Controls
     const controlsDiv = document.getElementById("controls");
@@ -53,8 +107,31 @@ document.addEventListener("DOMContentLoaded", () => {
     const clearSelectionBtn = document.getElementById("clear-selection-btn");
     const selectionIndicator = document.getElementById("selection-indicator");
 
+    // Replay Controls
+    const replayControlsDiv = document.getElementById("replay-controls");
+    const replayEventInfo = document.getElementById("replay-event-info");
+    const replayPosition = document.getElementById("replay-position");
+    const replayBackBtn = document.getElementById("replay-back-btn");
+    const replayPlayBtn = document.getElementById("replay-play-btn");
+    const replayForwardBtn = document.getElementById("replay-forward-btn");
+    const replayExitBtn = document.getElementById("replay-exit-btn");
+
     // Messages and Notifications
     const messageLog = document.getElementById("message-log");
+
+    // Chat
+    const chatElements = {
+        lobby: {
+            log: document.getElementById("lobby-chat-log"),
+            form: document.getElementById("lobby-chat-form"),
+            input: document.getElementById("lobby-chat-input")
+        },
+        game: {
+            log: document.getElementById("game-chat-log"),
+            form: document.getElementById("game-chat-form"),
+            input: document.getElementById("game-chat-input")
+        }
+    };
     const errorToast = document.getElementById("error-toast");
     const successToast = document.getElementById("success-toast");
     const errorMessage = document.getElementById("error-message");
@@ -71,6 +148,16 @@ document.addEventListener("DOMContentLoaded", () => {
     let selectedMonsterToMove = null;
     let validMoves = [];
     let validPlacements = [];
+    let activeReplay = null; // { data, step, timer } while watching a replay
+    let isSpectating = false; // True while watching someone else's game (read-only)
+    let turnEndsAt = null; // Local timestamp at which the current turn runs out
+    let turnTimerInterval = null;
+    let idleVoteTargetId = null; // Idle opponent the vote buttons are for
+    let awaitingSnapshot = false; // True after asking the server for a full state
+    let pendingActions = {}; // Serialized action -> request ID, until the server acknowledges it
+    let pendingActionsVersion = null; // State version the pending actions were sent on
+    let actionCounter = 0; // Source of unique request IDs
+    let pendingInviteCode = new URLSearchParams(window.location.search).get("join"); // From a shared invite link
 
     // 
     // UTILITY FUNCTIONS
@@ -80,9 +167,15 @@ document.addEventListener("DOMContentLoaded", () => {
      * Show the lobby and hide game area
      */
     function showLobby() {
+        stopReplay();
+        stopTurnTimer();
+        hideIdleVote();
+        isSpectating = false;
+        leaveSpectateBtn.classList.add("hidden");
         lobbyDiv.classList.remove("hidden");
         gameAreaDiv.classList.add("hidden");
         lobbyDiv.classList.add("animate-fade-in");
+        chatElements.game.log.innerHTML = "";
         clearGameSelections();
     }
 
@@ -98,6 +191,65 @@ document.addEventListener("DOMContentLoaded", () => {
         setupMonsterButtons();
     }
 
+    /**
+     * Append a chat message to a channel's chat log
+     * @param {string} channel - "lobby" or "game"
+     * @param {Object} chatMessage - { playerId, text, timestamp, isSpectator }
+     */
+    function appendChatMessage(channel, chatMessage) {
+        const chatLog = chatElements[channel]?.log;
+        if (!chatLog) return;
+        
+        const isMe = chatMessage.playerId === myPlayerId;
+        const author = isMe ? "You" : chatMessage.playerId.substring(0, 4);
+        const item = document.createElement("div");
+        item.className = "message-item chat-message";
+        // Text arrives HTML-escaped from the server
+        item.innerHTML = `[${new Date(chatMessage.timestamp).toLocaleTimeString()}] ` +
+            `<span class="chat-author ${isMe ? 'me' : ''}">${author}${chatMessage.isSpectator ? ' 👁' : ''}:</span> ` +
+            chatMessage.text;
+        chatLog.appendChild(item);
+        chatLog.scrollTop = chatLog.scrollHeight;
+        
+        // Keep the chat log as short as the message log
+        while (chatLog.children.length > 100) {
+            chatLog.removeChild(chatLog.firstChild);
+        }
+    }
+
+    /**
+     * Update the lobby leaderboard
+     * @param {Array} entries - [{ playerId, rating, ratedGames, wins, losses }] best first
+     */
+    function updateLeaderboard(entries) {
+        leaderboardList.innerHTML = "";
+        noLeaderboardMessage.classList.toggle("hidden", entries.length > 0);
+        
+        entries.forEach((entry, index) => {
+            const li = document.createElement("li");
+            li.className = "game-item";
+            li.innerHTML = `
+                <span class="leaderboard-rank">#${index + 1}</span>
+                <div class="game-info">
+                    <div class="game-id">${entry.playerId === myPlayerId ? 'YOU' : entry.playerId.substring(0, 8)}</div>
+                    <div class="game-players">${entry.wins}W / ${entry.losses}L · ${entry.ratedGames} rated games</div>
+                </div>
+                <span class="leaderboard-rating">${entry.rating}</span>
+            `;
+            leaderboardList.appendChild(li);
+        });
+    }
+
+    /**
+     * Ask the server to join the game with the given invite code
+     * @param {string} code - Invite code
+     */
+    function joinByCode(code) {
+        showLoading("Joining game...");
+        socket.emit("join_by_code", code.trim().toUpperCase());
+        logMessage(`Joining game with code ${code.trim().toUpperCase()}...`, 'system');
+    }
+
     /**
      * Show loading overlay
      */
@@ -170,6 +322,9 @@ document.addEventListener("DOMContentLoaded", () => {
         globalGamesPlayed.textContent = globalStats.totalGamesPlayed || 0;
         playerWins.textContent = playerStats.wins || 0;
         playerLosses.textContent = playerStats.losses || 0;
+        if (playerStats.rating !== undefined) { // Global stats updates only carry wins/losses
+            playerRating.textContent = playerStats.ratedGames > 0 ? playerStats.rating : "-";
+        }
         
         // Add animation to updated stats
         [globalGamesPlayed, playerWins, playerLosses].forEach(el => {
@@ -195,29 +350,134 @@ document.addEventListener("DOMContentLoaded", () => {
         games.forEach(game => {
             const li = document.createElement("li");
             li.className = "game-item animate-slide-in-left";
+            const isActive = game.status === "active";
             
             li.innerHTML = `
                 <div class="game-info">
                     <div class="game-id">Game ${game.id.substring(0, 8)}...</div>
-                    <div class="game-players">${game.playerCount}/${game.maxPlayers || 4} players</div>
+                    <div class="game-players">${game.playerCount}/${game.maxPlayers} players · ${game.boardSize}x${game.boardSize}${game.fogOfWar ? ' · fog of war' : ''}${isActive ? ' · in progress' : ''}</div>
                 </div>
+                ${isActive ? `
+                <button class="btn btn-secondary watch-game-btn" data-game-id="${game.id}">
+                    <i class="fas fa-eye"></i>
+                    Watch
+                </button>` : `
                 <button class="btn btn-primary join-game-btn" data-game-id="${game.id}">
                     <i class="fas fa-sign-in-alt"></i>
                     Join
+                </button>`}
+            `;
+            
+            if (isActive) {
+                // Add watch button event listener
+                li.querySelector('.watch-game-btn').addEventListener('click', () => {
+                    showLoading("Loading game...");
+                    socket.emit("spectate_game", game.id);
+                });
+            } else {
+                // Add join button event listener
+                li.querySelector('.join-game-btn').addEventListener('click', () => {
+                    showLoading("Joining game...");
+                    socket.emit("join_game", game.id);
+                });
+            }
+            
+            availableGamesList.appendChild(li);
+        });
+    }
+
+    /**
+     * Update the list of recent replays
+     * @param {Array} replays - Array of replay summaries
+     */
+    function updateReplayList(replays) {
+        replaysList.innerHTML = "";
+        
+        if (replays.length === 0) {
+            noReplaysMessage.classList.remove("hidden");
+            return;
+        }
+        
+        noReplaysMessage.classList.add("hidden");
+        
+        replays.forEach(replay => {
+            const li = document.createElement("li");
+            li.className = "game-item animate-slide-in-left";
+            
+            const winnerText = replay.winner
+                ? (replay.winner === myPlayerId ? 'You won' : `Winner: ${replay.winner.substring(0, 6)}`)
+                : 'Draw / Aborted';
+            
+            li.innerHTML = `
+                <div class="game-info">
+                    <div class="game-id">Game ${replay.gameId.substring(0, 8)}...</div>
+                    <div class="game-players">${replay.players.length} players · ${replay.rounds} rounds · ${winnerText}</div>
+                </div>
+                <button class="btn btn-secondary watch-replay-btn">
+                    <i class="fas fa-play-circle"></i>
+                    Watch
                 </button>
             `;
             
-            // Add join button event listener
-            const joinBtn = li.querySelector('.join-game-btn');
-            joinBtn.addEventListener('click', () => {
-                showLoading("Joining game...");
-                socket.emit("join_game", game.id);
+            li.querySelector('.watch-replay-btn').addEventListener('click', () => {
+                showLoading("Loading replay...");
+                socket.emit("request_replay", replay.gameId);
             });
             
-            availableGamesList.appendChild(li);
+            replaysList.appendChild(li);
         });
     }
 
+    /**
+     * Create a request ID for a game action, unique to this page
+     * @returns {string} Request ID
+     */
+    function createRequestId() {
+        actionCounter++;
+        return `${Date.now().toString(36)}-${actionCounter}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Send a game action, tagged with the state version it was taken on so the server
+     * can reject it if the board changed in the meantime. Sending the same action again
+     * before it is acknowledged (a double-click) reuses its request ID, so the server
+     * recognizes the duplicate and applies it only once. Only actions sent on the same
+     * state version count as duplicates, so an acknowledgement lost with the connection
+     * cannot swallow the same action on a later turn.
+     * @param {Object} action - Action data ({ action, ... })
+     */
+    function sendGameAction(action) {
+        const version = currentGameState?.version ?? 0;
+        if (version !== pendingActionsVersion) {
+            pendingActions = {};
+            pendingActionsVersion = version;
+        }
+
+        const key = JSON.stringify(action);
+        const isDuplicate = key in pendingActions;
+        if (!isDuplicate) pendingActions[key] = createRequestId();
+
+        const requestId = pendingActions[key];
+        socket.emit("game_action", { ...action, version, requestId }, (ack) => {
+            if (isDuplicate) return; // The first send handles the answer
+            if (pendingActions[key] === requestId) delete pendingActions[key];
+            handleActionAck(ack);
+        });
+    }
+
+    /**
+     * Show the server's answer to one of our game actions
+     * @param {Object} ack - { ok, code, message, version }
+     */
+    function handleActionAck(ack) {
+        hideLoading();
+        if (ack.ok) return;
+
+        showToast('error', ack.message);
+        // After a stale_version rejection a fresh snapshot is already on its way
+        logMessage(`Action rejected (${ack.code}): ${ack.message}`, 'error');
+    }
+
     /**
      * Clear all game selections and visual indicators
      */
@@ -254,41 +514,32 @@ document.addEventListener("DOMContentLoaded", () => {
         selectionIndicator.textContent = text;
     }
 
+    /**
+     * Get the rule set of the current game
+     * @returns {Object} Rules sent by the server, or the classic defaults
+     */
+    function getRules() {
+        return currentGameState?.rules || DEFAULT_RULES;
+    }
+
+    /**
+     * Create an empty board
+     * @param {number} boardSize - Width/height of the board
+     * @returns {Array} 2D array filled with null
+     */
+    function createEmptyBoard(boardSize) {
+        return Array(boardSize).fill(null).map(() => Array(boardSize).fill(null));
+    }
+
     /**
      * Get valid placement positions for current player
      * @returns {Array} Array of valid {x, y} positions
      */
     function getValidPlacements() {
-        if (!currentGameState || !currentGameState.players[myPlayerId]) {
-            return [];
-        }
-        
-        const player = currentGameState.players[myPlayerId];
-        const edge = Object.values(currentGameState.players)
-            .find(p => p.id === myPlayerId)?.edge;
-        
+        const edge = currentGameState?.players[myPlayerId]?.edge;
         if (!edge) return [];
         
-        const positions = [];
-        
-        for (let x = 0; x < 10; x++) {
-            for (let y = 0; y < 10; y++) {
-                let isValidEdge = false;
-                
-                switch (edge) {
-                    case "top": isValidEdge = y === 0; break;
-                    case "bottom": isValidEdge = y === 9; break;
-                    case "left": isValidEdge = x === 0; break;
-                    case "right": isValidEdge = x === 9; break;
-                }
-                
-                if (isValidEdge && !currentGameState.board[y][x]) {
-                    positions.push({ x, y });
-                }
-            }
-        }
-        
-        return positions;
+        return MonsterRules.getValidPlacements(currentGameState.board, getRules(), edge);
     }
 
     /**
@@ -299,69 +550,7 @@ document.addEventListener("DOMContentLoaded", () => {
     function getValidMoves(monster) {
         if (!monster || !currentGameState) return [];
         
-        const positions = [];
-        
-        // Check all possible positions
-        for (let newX = 0; newX < 10; newX++) {
-            for (let newY = 0; newY < 10; newY++) {
-                if (newX === monster.x && newY === monster.y) continue;
-                
-                if (isValidMovePosition(monster, newX, newY)) {
-                    positions.push({ x: newX, y: newY });
-                }
-            }
-        }
-        
-        return positions;
-    }
-
-    /**
-     * Check if a move to a specific position is valid
-     * @param {Object} monster - Monster to move
-     * @param {number} newX - Target X coordinate
-     * @param {number} newY - Target Y coordinate
-     * @returns {boolean} True if move is valid
-     */
-    function isValidMovePosition(monster, newX, newY) {
-        const dx = Math.abs(newX - monster.x);
-        const dy = Math.abs(newY - monster.y);
-        
-        // Check movement type
-        const isDiagonal = dx > 0 && dy > 0;
-        const isStraight = (dx > 0 && dy === 0) || (dx === 0 && dy > 0);
-        
-        if (!isStraight && !isDiagonal) return false;
-        if (isDiagonal && (dx > 2 || dy > 2)) return false;
-        
-        // Check path for obstacles
-        const stepX = Math.sign(newX - monster.x);
-        const stepY = Math.sign(newY - monster.y);
-        
-        let currentX = monster.x;
-        let currentY = monster.y;
-        
-        while (currentX !== newX || currentY !== newY) {
-            if (currentX !== newX) currentX += stepX;
-            if (currentY !== newY) currentY += stepY;
-            
-            if (currentX < 0 || currentX > 9 || currentY < 0 || currentY > 9) {
-                return false;
-            }
-            
-            const squareContent = currentGameState.board[currentY][currentX];
-            
-            if (currentX === newX && currentY === newY) {
-                // Final destination: can land on empty square or opponent's monster
-                return !squareContent || squareContent.owner !== myPlayerId;
-            } else {
-                // Intermediate squares: can pass over own monsters, but not opponents'
-                if (squareContent && squareContent.owner !== myPlayerId) {
-                    return false;
-                }
-            }
-        }
-        
-        return true;
+        return MonsterRules.getValidMoves(currentGameState.board, getRules(), myPlayerId, monster);
     }
 
     /**
@@ -394,34 +583,158 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     }
 
+    /**
+     * Format a duration as m:ss
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration
+     */
+    function formatDuration(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Start (or restart) the turn countdown from the server's remaining time
+     * @param {Object} gameState - Current game state
+     */
+    function updateTurnTimer(gameState) {
+        if (gameState.status !== "active" || gameState.turnTimeRemainingMs === null || gameState.turnTimeRemainingMs === undefined) {
+            stopTurnTimer();
+            return;
+        }
+        
+        // Use the remaining time rather than the server's clock so clock skew does not matter
+        turnEndsAt = Date.now() + gameState.turnTimeRemainingMs;
+        turnTimer.classList.remove("hidden");
+        renderTurnTimer();
+        
+        if (!turnTimerInterval) {
+            turnTimerInterval = setInterval(renderTurnTimer, 250);
+        }
+    }
+
+    /**
+     * Redraw the countdown next to the turn indicator
+     */
+    function renderTurnTimer() {
+        const remaining = Math.max(0, turnEndsAt - Date.now());
+        turnTimerValue.textContent = formatDuration(remaining);
+        turnTimer.classList.toggle("warning", remaining <= 10000);
+    }
+
+    /**
+     * Short name of a player for log messages
+     * @param {string} playerId - Player ID
+     * @returns {string} "You" or the start of the player's ID
+     */
+    function playerName(playerId) {
+        return playerId === myPlayerId ? 'You' : `Player ${playerId.substring(0, 6)}`;
+    }
+
+    /**
+     * Offer the vote buttons against an idle opponent, if we may vote
+     * @param {string} playerId - Idle player
+     * @param {number} votesNeeded - Votes that decide the outcome
+     */
+    function showIdleVote(playerId, votesNeeded) {
+        const me = currentGameState?.players[myPlayerId];
+        if (isSpectating || playerId === myPlayerId || !me || me.isEliminated) return;
+        
+        idleVoteTargetId = playerId;
+        idleVoteLabel.textContent = `${playerName(playerId)} is idle (${votesNeeded} vote${votesNeeded === 1 ? '' : 's'} needed):`;
+        voteSkipBtn.disabled = false;
+        voteKickBtn.disabled = false;
+        idleVote.classList.remove("hidden");
+    }
+
+    /**
+     * Hide the vote buttons
+     */
+    function hideIdleVote() {
+        idleVoteTargetId = null;
+        idleVote.classList.add("hidden");
+    }
+
+    /**
+     * Stop and hide the turn countdown
+     */
+    function stopTurnTimer() {
+        clearInterval(turnTimerInterval);
+        turnTimerInterval = null;
+        turnEndsAt = null;
+        turnTimer.classList.add("hidden");
+    }
+
     /**
      * Update the main game view with current state
      * @param {Object} gameState - Current game state
+     * @param {Array} changedCells - Squares changed by a patch ({x, y}); null redraws the whole board
      */
-    function updateGameView(gameState) {
+    function updateGameView(gameState, changedCells = null) {
+        stopReplay();
         currentGameState = gameState;
         gameIdDisplay.textContent = gameState.id.substring(0, 8) + "...";
         
+        // Players can invite others while the game is still waiting
+        inviteInfo.classList.toggle("hidden", isSpectating || gameState.status !== "waiting" || !gameState.inviteCode);
+        invitePrivateBadge.classList.toggle("hidden", !gameState.isPrivate);
+        inviteCodeDisplay.textContent = gameState.inviteCode || "";
+        
         // Update round number
         if (roundNumber) {
             roundNumber.textContent = gameState.round || 1;
         }
         
-        // Update players list
+        // Update players list and turn clock
         updatePlayersDisplay(gameState);
+        updateTurnTimer(gameState);
+        if (gameState.status !== "active" || gameState.currentPlayerId !== idleVoteTargetId) {
+            hideIdleVote(); // The idle player's turn is over
+        }
+        
+        // Spectators get a read-only view with no controls
+        leaveSpectateBtn.classList.toggle("hidden", !isSpectating);
+        if (isSpectating) {
+            gameStatus.textContent = gameState.status === "finished"
+                ? "Game finished!"
+                : `Spectating - Round ${gameState.round}`;
+            gameStatus.className = "game-status";
+            startGameBtn.classList.add("hidden");
+            readyBtn.classList.add("hidden");
+            addBotControls.classList.add("hidden");
+            controlsDiv.classList.add("hidden");
+            turnInfo.textContent = gameState.currentPlayerId ? `Turn: ${gameState.currentPlayerId.substring(0, 4)}` : "";
+            turnInfo.className = "turn-indicator waiting";
+            renderBoard(gameState.board, changedCells, gameState.visibility);
+            return;
+        }
         
         // Update game status and controls based on game state
         if (gameState.status === "waiting") {
-            gameStatus.textContent = `Waiting for players (${gameState.playerOrder.length}/4)...`;
+            gameStatus.textContent = `Waiting for players (${gameState.playerOrder.length}/${gameState.rules.maxPlayers})...`;
             gameStatus.className = "game-status";
             
-            // Show start button only if >= 2 players and I am the creator
-            if (gameState.playerOrder.length >= 2 && gameState.playerOrder[0] === myPlayerId) {
+            // Every player toggles ready; the host can start once everyone is
+            const isHost = gameState.hostId === myPlayerId;
+            const allReady = gameState.playerOrder.every(pid => gameState.players[pid].isReady);
+            const amReady = !!gameState.players[myPlayerId]?.isReady;
+            readyBtn.classList.remove("hidden");
+            readyBtn.className = `btn ${amReady ? 'btn-warning' : 'btn-secondary'}`;
+            readyBtnLabel.textContent = amReady ? "Not Ready" : "I'm Ready";
+            
+            if (gameState.playerOrder.length >= 2 && isHost) {
                 startGameBtn.classList.remove("hidden");
+                startGameBtn.disabled = !allReady;
+                startGameBtn.title = allReady ? "" : "Waiting for every player to be ready";
             } else {
                 startGameBtn.classList.add("hidden");
             }
             
+            // The host may fill empty seats with bots
+            addBotControls.classList.toggle("hidden", !isHost || gameState.playerOrder.length >= gameState.rules.maxPlayers);
+            
             turnInfo.textContent = "";
             controlsDiv.classList.add("hidden");
             
@@ -429,6 +742,8 @@ document.addEventListener("DOMContentLoaded", () => {
             gameStatus.textContent = `Game in progress - Round ${gameState.round}`;
             gameStatus.className = "game-status";
             startGameBtn.classList.add("hidden");
+            readyBtn.classList.add("hidden");
+            addBotControls.classList.add("hidden");
             controlsDiv.classList.remove("hidden");
             
             // Update turn information
@@ -460,12 +775,14 @@ document.addEventListener("DOMContentLoaded", () => {
         } else if (gameState.status === "finished") {
             gameStatus.textContent = "Game finished!";
             gameStatus.className = "game-status";
+            readyBtn.classList.add("hidden");
+            addBotControls.classList.add("hidden");
             turnInfo.textContent = "";
             controlsDiv.classList.add("hidden");
             clearGameSelections();
         }
         
-        renderBoard(gameState.board);
+        renderBoard(gameState.board, changedCells, gameState.visibility);
     }
 
     /**
@@ -480,9 +797,13 @@ document.addEventListener("DOMContentLoaded", () => {
             const isCurrentPlayer = gameState.currentPlayerId === playerId;
             const isMe = playerId === myPlayerId;
             const isEliminated = player.isEliminated;
+            const isDisconnected = player.isConnected === false;
+            const isHost = gameState.hostId === playerId;
+            const isWaiting = gameState.status === "waiting";
+            const showHostActions = isWaiting && !isSpectating && gameState.hostId === myPlayerId && !isMe;
             
             const playerCard = document.createElement("div");
-            playerCard.className = `player-card-game ${isCurrentPlayer ? 'current-player' : ''} ${isEliminated ? 'eliminated' : ''}`;
+            playerCard.className = `player-card-game ${isCurrentPlayer ? 'current-player' : ''} ${isEliminated ? 'eliminated' : ''} ${isDisconnected ? 'disconnected' : ''}`;
             
             const edgeColors = {
                 top: '#6366f1',
@@ -496,14 +817,23 @@ document.addEventListener("DOMContentLoaded", () => {
                     ${player.edge.toUpperCase()}
                 </div>
                 <div class="player-name">
-                    ${isMe ? 'YOU' : playerId.substring(0, 6)}
+                    ${isMe ? 'YOU' : player.isBot ? `🤖 BOT (${player.botDifficulty})` : playerId.substring(0, 6)}
+                    ${isHost ? ' 👑' : ''}
                     ${isCurrentPlayer ? ' 🎯' : ''}
                     ${isEliminated ? ' ☠️' : ''}
+                    ${isDisconnected ? ' 📴' : ''}
                 </div>
+                ${isWaiting ? `<div class="player-ready ${player.isReady ? 'ready' : ''}">${player.isReady ? '✅ Ready' : '⏳ Not ready'}</div>` : ''}
                 <div class="player-stats">
                     <span>Monsters: ${player.monsterCount}</span>
-                    <span>Lost: ${player.monstersLost}</span>
+                    <span>Lost: ${player.monstersLost}/${(gameState.rules || DEFAULT_RULES).eliminationThreshold}</span>
+                    ${player.timeBankRemainingMs != null ? `<span>Bank: ${formatDuration(player.timeBankRemainingMs)}</span>` : ''}
                 </div>
+                ${showHostActions ? `
+                <div class="host-actions">
+                    ${player.isBot ? '' : `<button class="btn btn-secondary transfer-host-btn" data-player-id="${playerId}" title="Make host"><i class="fas fa-crown"></i></button>`}
+                    <button class="btn btn-danger kick-player-btn" data-player-id="${playerId}" title="Kick"><i class="fas fa-user-slash"></i></button>
+                </div>` : ''}
             `;
             
             playersContainer.appendChild(playerCard);
@@ -513,33 +843,33 @@ document.addEventListener("DOMContentLoaded", () => {
     /**
      * Render the game board
      * @param {Array} boardData - 2D array representing the board state
+     * @param {Array} changedCells - Only redraw these squares ({x, y}) when the board is already drawn
+     * @param {Array} visibility - Fog of war rows ("1" seen, "0" unseen), null when everything is visible
      */
-    function renderBoard(boardData) {
+    function renderBoard(boardData, changedCells = null, visibility = null) {
+        const boardSize = boardData.length;
+        
+        // Patch the existing squares in place when possible
+        if (changedCells && gameBoard.childElementCount === boardSize * boardSize) {
+            changedCells.forEach(({ x, y }) => {
+                renderSquareContent(gameBoard.children[y * boardSize + x], boardData[y][x]);
+            });
+            renderFog(visibility);
+            updateBoardVisuals();
+            return;
+        }
+        
         gameBoard.innerHTML = "";
+        gameBoard.style.setProperty("--board-size", boardSize);
+        renderCoordinates(boardSize);
         
-        for (let y = 0; y < 10; y++) {
-            for (let x = 0; x < 10; x++) {
+        for (let y = 0; y < boardSize; y++) {
+            for (let x = 0; x < boardSize; x++) {
                 const square = document.createElement("div");
                 square.className = "square";
                 square.dataset.x = x;
                 square.dataset.y = y;
-                
-                const monster = boardData[y][x];
-                if (monster) {
-                    const monsterElement = document.createElement("div");
-                    monsterElement.className = `monster ${monster.type} ${monster.owner === myPlayerId ? 'own' : ''}`;
-                    
-                    // Set monster emoji based on type
-                    const monsterEmojis = {
-                        vampire: '🧛',
-                        werewolf: '🐺',
-                        ghost: '👻'
-                    };
-                    
-                    monsterElement.textContent = monsterEmojis[monster.type] || '?';
-                    monsterElement.dataset.monsterId = monster.id;
-                    square.appendChild(monsterElement);
-                }
+                renderSquareContent(square, boardData[y][x]);
                 
                 // Add click listener for game actions
                 square.addEventListener('click', () => handleSquareClick(x, y));
@@ -549,15 +879,67 @@ document.addEventListener("DOMContentLoaded", () => {
         }
         
         // Update visual indicators after rendering
+        renderFog(visibility);
         updateBoardVisuals();
     }
 
+    /**
+     * Shade the squares the player cannot see (fog of war)
+     * @param {Array} visibility - Rows of "1" (seen) / "0" (unseen), null when everything is visible
+     */
+    function renderFog(visibility) {
+        Array.from(gameBoard.children).forEach(square => {
+            const isFogged = !!visibility && visibility[square.dataset.y][square.dataset.x] === "0";
+            square.classList.toggle("fog", isFogged);
+        });
+    }
+
+    /**
+     * Draw the monster (if any) standing on a board square
+     * @param {HTMLElement} square - Square element
+     * @param {Object|null} monster - Monster on the square
+     */
+    function renderSquareContent(square, monster) {
+        square.innerHTML = "";
+        square.classList.remove('selected'); // A selection on a changed square is stale
+        if (!monster) return;
+        
+        const monsterElement = document.createElement("div");
+        // Enemy monsters seen through the fog of war may come without their type
+        monsterElement.className = `monster ${monster.type || 'hidden-type'} ${monster.owner === myPlayerId ? 'own' : ''}`;
+        
+        // Set monster emoji based on type
+        const monsterEmojis = {
+            vampire: '🧛',
+            werewolf: '🐺',
+            ghost: '👻'
+        };
+        
+        monsterElement.textContent = monsterEmojis[monster.type] || '?';
+        monsterElement.dataset.monsterId = monster.id;
+        square.appendChild(monsterElement);
+    }
+
+    /**
+     * Render the coordinate labels along the top and left of the board
+     * @param {number} boardSize - Width/height of the board
+     */
+    function renderCoordinates(boardSize) {
+        if (coordTop.childElementCount === boardSize) return;
+        
+        const labels = Array.from({ length: boardSize }, (_, i) => `<span>${i}</span>`).join("");
+        coordTop.innerHTML = labels;
+        coordLeft.innerHTML = labels;
+    }
+
     /**
      * Handle clicks on board squares
      * @param {number} x - X coordinate of clicked square
      * @param {number} y - Y coordinate of clicked square
      */
     function handleSquareClick(x, y) {
+        if (isSpectating) return; // Read-only view
+        
         if (!currentGameState || currentGameState.status !== "active" || currentGameState.currentPlayerId !== myPlayerId) {
             return; // Not player's turn or game not active
         }
@@ -572,7 +954,7 @@ document.addEventListener("DOMContentLoaded", () => {
             if (isValidPlacement) {
                 logMessage(`Placing ${selectedMonsterType} at (${x}, ${y})`, 'system');
                 showLoading("Placing monster...");
-                socket.emit("game_action", { action: "place_monster", type: selectedMonsterType, x, y });
+                sendGameAction({ action: "place_monster", type: selectedMonsterType, x, y });
                 clearGameSelections();
             } else {
                 showToast('error', 'Invalid position to place monster');
@@ -585,7 +967,7 @@ document.addEventListener("DOMContentLoaded", () => {
             if (isValidMove) {
                 logMessage(`Moving monster to (${x}, ${y})`, 'system');
                 showLoading("Moving monster...");
-                socket.emit("game_action", { action: "move_monster", monsterId: selectedMonsterToMove.id, newX: x, newY: y });
+                sendGameAction({ action: "move_monster", monsterId: selectedMonsterToMove.id, newX: x, newY: y });
                 clearGameSelections();
             } else {
                 showToast('error', 'Invalid move');
@@ -609,6 +991,308 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     }
 
+    // 
+    // GAME EVENTS
+    // 
+
+    /**
+     * Briefly highlight a board square
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} className - Animation class (event-placed, event-moved, event-combat)
+     */
+    function flashSquare(x, y, className) {
+        const square = gameBoard.querySelector(`[data-x="${x}"][data-y="${y}"]`);
+        if (!square) return;
+        square.classList.remove(className);
+        void square.offsetWidth; // Restart the animation if it is already running
+        square.classList.add(className);
+        setTimeout(() => square.classList.remove(className), 1200);
+    }
+
+    /**
+     * Log and animate the events that came with a state patch
+     * @param {Array} events - Typed game events, oldest first
+     */
+    function showGameEvents(events) {
+        events.forEach(event => {
+            const type = event.type === "player_eliminated" || event.type === "combat_resolved" ? 'error'
+                : event.type === "round_started" ? 'success' : 'system';
+            logMessage(describeGameEvent(event), type);
+            
+            switch (event.type) {
+                case "monster_placed":
+                    flashSquare(event.monster.x, event.monster.y, "event-placed");
+                    break;
+                case "monster_moved":
+                    // With fog of war an end we cannot see is left out
+                    if (event.from) flashSquare(event.from.x, event.from.y, "event-moved");
+                    if (event.to) flashSquare(event.to.x, event.to.y, "event-moved");
+                    break;
+                case "combat_resolved":
+                    flashSquare(event.x, event.y, "event-combat");
+                    break;
+                case "player_eliminated":
+                    if (event.playerId === myPlayerId) {
+                        showToast('error', event.reason === "forfeit" ? 'You forfeited the game' : 'You have been eliminated!');
+                    }
+                    break;
+                case "turn_changed":
+                    if (event.nextPlayerId === myPlayerId && event.playerId !== myPlayerId) {
+                        showToast('success', "It's your turn!");
+                    }
+                    break;
+            }
+        });
+    }
+
+    // 
+    // REPLAY VIEWER
+    // 
+
+    /**
+     * Apply one recorded event to a replay state
+     * @param {Object} state - Replay state being rebuilt
+     * @param {Object} event - Event from the game's event log
+     */
+    function applyReplayEvent(state, event) {
+        const removeMonster = (monsterId) => {
+            const monster = state.monsters[monsterId];
+            if (!monster) return;
+            if (state.board[monster.y][monster.x]?.id === monsterId) {
+                state.board[monster.y][monster.x] = null;
+            }
+            delete state.monsters[monsterId];
+            if (state.players[monster.owner]) {
+                state.players[monster.owner].monsterCount--;
+                state.players[monster.owner].monstersLost++;
+            }
+        };
+        
+        state.round = event.round;
+        
+        switch (event.type) {
+            case "game_started":
+                state.playerOrder = [...event.playerOrder];
+                state.currentPlayerId = event.currentPlayerId;
+                event.playerOrder.forEach(pid => {
+                    state.players[pid] = { id: pid, edge: event.edges[pid], monsterCount: 0, monstersLost: 0, isEliminated: false };
+                });
+                break;
+                
+            case "monster_placed": {
+                const monster = { ...event.monster };
+                state.monsters[monster.id] = monster;
+                state.board[monster.y][monster.x] = monster;
+                state.players[monster.owner].monsterCount++;
+                break;
+            }
+                
+            case "monster_moved": {
+                const monster = state.monsters[event.monsterId];
+                if (!monster) break;
+                state.board[event.from.y][event.from.x] = null;
+                state.board[event.to.y][event.to.x] = monster;
+                monster.x = event.to.x;
+                monster.y = event.to.y;
+                break;
+            }
+                
+            case "combat_resolved":
+                event.removed.forEach(removeMonster);
+                // A defender that survived takes its square back
+                [event.attacker, event.defender].forEach(m => {
+                    const survivor = state.monsters[m.id];
+                    if (survivor) state.board[survivor.y][survivor.x] = survivor;
+                });
+                break;
+                
+            case "player_eliminated":
+                state.players[event.playerId].isEliminated = true;
+                if (event.reason === "forfeit") {
+                    // A forfeiting player's monsters leave the board
+                    Object.values(state.monsters)
+                        .filter(m => m.owner === event.playerId)
+                        .forEach(m => {
+                            if (state.board[m.y][m.x]?.id === m.id) state.board[m.y][m.x] = null;
+                            delete state.monsters[m.id];
+                        });
+                    state.players[event.playerId].monsterCount = 0;
+                }
+                break;
+                
+            case "player_left":
+                Object.values(state.monsters)
+                    .filter(m => m.owner === event.playerId)
+                    .forEach(m => {
+                        if (state.board[m.y][m.x]?.id === m.id) state.board[m.y][m.x] = null;
+                        delete state.monsters[m.id];
+                    });
+                state.playerOrder = state.playerOrder.filter(pid => pid !== event.playerId);
+                delete state.players[event.playerId];
+                break;
+                
+            case "round_started":
+                state.playerOrder = [...event.playerOrder];
+                break;
+                
+            case "turn_changed":
+                state.currentPlayerId = event.nextPlayerId;
+                state.playerOrder = [...event.playerOrder];
+                break;
+                
+            case "game_ended":
+                state.status = "finished";
+                state.winner = event.winner;
+                state.currentPlayerId = null;
+                break;
+        }
+    }
+
+    /**
+     * Rebuild the board state after the first `step` events of a replay
+     * @param {Object} replay - Recorded game with its rule set and event log
+     * @param {number} step - Number of events to apply
+     * @returns {Object} Replay state
+     */
+    function buildReplayState({ rules, events }, step) {
+        const state = {
+            rules,
+            board: createEmptyBoard(rules.boardSize),
+            monsters: {},
+            players: {},
+            playerOrder: [],
+            currentPlayerId: null,
+            round: 1,
+            status: "active",
+            winner: null
+        };
+        events.slice(0, step).forEach(event => applyReplayEvent(state, event));
+        return state;
+    }
+
+    /**
+     * Describe a game event for the message log and the replay info line
+     * @param {Object|undefined} event - Event to describe
+     * @returns {string} Human readable description
+     */
+    function describeGameEvent(event) {
+        if (!event) return "Start of game";
+        const who = (pid) => pid === myPlayerId ? 'You' : pid.substring(0, 6);
+        const square = (pos) => pos ? `(${pos.x}, ${pos.y})` : '(?)';
+        
+        switch (event.type) {
+            case "game_started": return `Game started - ${event.playerOrder.length} players${event.seed !== undefined ? ` (seed ${event.seed})` : ''}`;
+            case "monster_placed": return `${who(event.playerId)} placed a ${event.monster.type || 'hidden monster'} at (${event.monster.x}, ${event.monster.y})`;
+            case "monster_moved": return `${who(event.playerId)} moved ${square(event.from)} → ${square(event.to)}`;
+            case "combat_resolved": {
+                const losers = [event.attacker, event.defender].filter(m => event.removed.includes(m.id));
+                return `Combat at (${event.x}, ${event.y}): ${event.attacker.type} vs ${event.defender.type} - ${losers.map(m => `${who(m.owner)}'s ${m.type}`).join(' and ')} removed`;
+            }
+            case "player_eliminated": return `${who(event.playerId)} ${event.reason === "forfeit" ? 'forfeited' : 'eliminated'} ☠️`;
+            case "player_left": return `${who(event.playerId)} left the game`;
+            case "round_started": return `Round ${event.round} started - order: ${event.playerOrder.map(who).join(', ')}`;
+            case "turn_changed": return `Round ${event.round} - ${who(event.nextPlayerId)}'s turn`;
+            case "game_ended": return event.winner ? `Game over - ${who(event.winner)} won!` : "Game over - draw";
+            default: return event.type;
+        }
+    }
+
+    /**
+     * Render the current replay step
+     */
+    function renderReplayStep() {
+        const { data, step } = activeReplay;
+        const state = buildReplayState(data, step);
+        
+        gameStatus.textContent = `Replay - Round ${state.round}`;
+        roundNumber.textContent = state.round;
+        turnInfo.textContent = state.currentPlayerId ? `Turn: ${state.currentPlayerId.substring(0, 4)}` : "";
+        turnInfo.className = "turn-indicator waiting";
+        
+        updatePlayersDisplay(state);
+        renderBoard(state.board);
+        
+        replayEventInfo.textContent = describeGameEvent(data.events[step - 1]);
+        replayPosition.textContent = `${step} / ${data.events.length}`;
+        replayBackBtn.disabled = step === 0;
+        replayForwardBtn.disabled = step >= data.events.length;
+    }
+
+    /**
+     * Open the replay viewer for a finished game
+     * @param {Object} replayData - Replay received from the server
+     */
+    function startReplay(replayData) {
+        stopReplay();
+        stopTurnTimer();
+        activeReplay = { data: replayData, step: 0, timer: null };
+        
+        lobbyDiv.classList.add("hidden");
+        gameAreaDiv.classList.remove("hidden");
+        gameAreaDiv.classList.add("animate-fade-in");
+        controlsDiv.classList.add("hidden");
+        startGameBtn.classList.add("hidden");
+        readyBtn.classList.add("hidden");
+        addBotControls.classList.add("hidden");
+        replayControlsDiv.classList.remove("hidden");
+        gameIdDisplay.textContent = replayData.gameId.substring(0, 8) + "...";
+        
+        renderReplayStep();
+        logMessage(`Watching replay of game ${replayData.gameId.substring(0, 8)}`, 'system');
+    }
+
+    /**
+     * Move the replay to a given step
+     * @param {number} step - Number of events to apply
+     */
+    function seekReplay(step) {
+        if (!activeReplay) return;
+        activeReplay.step = Math.max(0, Math.min(step, activeReplay.data.events.length));
+        renderReplayStep();
+        
+        if (activeReplay.step >= activeReplay.data.events.length) {
+            pauseReplay();
+        }
+    }
+
+    /**
+     * Pause automatic replay playback
+     */
+    function pauseReplay() {
+        if (!activeReplay) return;
+        clearInterval(activeReplay.timer);
+        activeReplay.timer = null;
+        replayPlayBtn.innerHTML = '<i class="fas fa-play"></i>';
+    }
+
+    /**
+     * Toggle automatic replay playback
+     */
+    function toggleReplayPlayback() {
+        if (!activeReplay) return;
+        if (activeReplay.timer) {
+            pauseReplay();
+            return;
+        }
+        
+        if (activeReplay.step >= activeReplay.data.events.length) {
+            activeReplay.step = 0; // Restart from the beginning
+        }
+        activeReplay.timer = setInterval(() => seekReplay(activeReplay.step + 1), 800);
+        replayPlayBtn.innerHTML = '<i class="fas fa-pause"></i>';
+    }
+
+    /**
+     * Close the replay viewer
+     */
+    function stopReplay() {
+        if (!activeReplay) return;
+        pauseReplay();
+        activeReplay = null;
+        replayControlsDiv.classList.add("hidden");
+    }
+
     // 
     // SOCKET EVENT HANDLERS
     // 
@@ -616,29 +1300,87 @@ document.addEventListener("DOMContentLoaded", () => {
     socket.on("connect", () => {
         connectionStatus.textContent = "Connected to server";
         connectionStatus.className = "status-connected";
-        showLobby();
         hideLoading();
+        
+        if (currentGameState) {
+            // Keep the game view - the server resyncs it if our seat is still held
+            logMessage("Reconnected to server", 'success');
+            return;
+        }
+        
+        showLobby();
+        socket.emit("request_replays");
+        socket.emit("request_leaderboard");
         logMessage("Connected to server", 'success');
     });
 
     socket.on("disconnect", () => {
+        pendingActions = {}; // Their acknowledgements are lost with the connection
         connectionStatus.textContent = "Disconnected from server";
         connectionStatus.className = "status-disconnected";
-        showLobby();
+        showToast('error', 'Connection lost to server');
+        logMessage("Disconnected from server", 'error');
+        
+        if (currentGameState && currentGameState.status === "active") {
+            // Keep the game view and state so it can be resumed on reconnect
+            clearGameSelections();
+            showLoading("Connection lost. Reconnecting...");
+            return;
+        }
+        
         lobbyDiv.classList.add("hidden");
         gameAreaDiv.classList.add("hidden");
         currentGameState = null;
-        myPlayerId = null;
         clearGameSelections();
-        showToast('error', 'Connection lost to server');
-        logMessage("Disconnected from server", 'error');
     });
 
     socket.on("initial_data", (data) => {
         myPlayerId = data.playerId;
+        localStorage.setItem(SESSION_STORAGE_KEY, data.sessionToken);
+        
+        if (currentGameState && !data.gameId) {
+            // Our seat was released while we were away
+            currentGameState = null;
+            clearGameSelections();
+            showLobby();
+            logMessage("Your previous game is no longer available", 'system');
+        }
+        
         playerIdDisplay.textContent = myPlayerId.substring(0, 8) + "...";
         updateStats(data.globalStats, data.playerStats);
         logMessage(`Connected as player ${myPlayerId.substring(0, 8)}`, 'success');
+        
+        // Opened through an invite link: join that game once we know who we are
+        if (pendingInviteCode && !data.gameId) {
+            joinByCode(pendingInviteCode);
+        }
+        pendingInviteCode = null;
+    });
+
+    socket.on("chat_history", ({ channel, messages }) => {
+        if (!chatElements[channel]) return;
+        chatElements[channel].log.innerHTML = "";
+        messages.forEach(chatMessage => appendChatMessage(channel, chatMessage));
+    });
+
+    socket.on("chat_message", (chatMessage) => {
+        appendChatMessage(chatMessage.channel, chatMessage);
+    });
+
+    socket.on("kicked", ({ message }) => {
+        currentGameState = null;
+        showLobby();
+        showToast('error', message);
+        logMessage(message, 'error');
+        socket.emit("request_lobby_data");
+    });
+
+    socket.on("game_closed", ({ message }) => {
+        currentGameState = null;
+        showLobby();
+        showToast('error', message);
+        logMessage(message, 'system');
+        socket.emit("request_lobby_data");
     });
 
     socket.on("available_games", (games) => {
@@ -649,21 +1391,103 @@ document.addEventListener("DOMContentLoaded", () => {
 
     socket.on("game_joined", (gameState) => {
         hideLoading();
+        isSpectating = false;
+        awaitingSnapshot = false;
         logMessage(`Joined game ${gameState.id.substring(0, 8)}`, 'success');
         showGameArea();
         updateGameView(gameState);
         showToast('success', 'Successfully joined the game!');
     });
 
+    socket.on("spectate_joined", (gameState) => {
+        hideLoading();
+        isSpectating = true;
+        awaitingSnapshot = false;
+        logMessage(`Watching game ${gameState.id.substring(0, 8)}`, 'success');
+        showGameArea();
+        updateGameView(gameState);
+    });
+
     socket.on("game_update", (gameState) => {
         hideLoading();
+        awaitingSnapshot = false;
         logMessage("Game state updated", 'system');
         updateGameView(gameState);
     });
 
+    socket.on("game_patch", (patch) => {
+        if (!currentGameState || patch.gameId !== currentGameState.id) return;
+        
+        // A missed patch means our copy is stale: fall back to a full snapshot
+        if (patch.baseVersion !== currentGameState.version) {
+            if (!awaitingSnapshot && patch.version > currentGameState.version) {
+                awaitingSnapshot = true;
+                socket.emit("request_game_state");
+            }
+            return;
+        }
+        
+        MonsterStatePatch.applyPatch(currentGameState, patch);
+        updateGameView(currentGameState, patch.changes.board ? null : (patch.changes.cells || []));
+        if (patch.events?.length) {
+            showGameEvents(patch.events);
+        } else {
+            logMessage("Game state updated", 'system');
+        }
+    });
+
+    socket.on("turn_timeout", (data) => {
+        const who = data.playerId === myPlayerId ? 'You' : `Player ${data.playerId.substring(0, 6)}`;
+        if (data.forfeited) {
+            logMessage(`${who} ran out of time too often and forfeited`, 'system');
+        } else {
+            logMessage(`${who} ran out of time - turn ended automatically`, 'system');
+        }
+        if (data.playerId === myPlayerId) {
+            clearGameSelections();
+            showToast('error', data.forfeited ? 'You forfeited the game (time ran out)' : 'Your turn ended - time ran out');
+        }
+    });
+
+    socket.on("idle_warning", (data) => {
+        if (data.playerId === myPlayerId) {
+            const message = `You seem to be idle - make a move or you will forfeit in ${formatDuration(data.forfeitInMs)}`;
+            showToast('error', message);
+            logMessage(message, 'system');
+        } else {
+            logMessage(`${playerName(data.playerId)} seems to be idle - opponents may vote to skip their turn or kick them`, 'system');
+            showIdleVote(data.playerId, data.votesNeeded);
+        }
+    });
+
+    socket.on("idle_vote", (data) => {
+        const action = data.choice === "kick" ? 'kicking' : 'skipping the turn of';
+        logMessage(`${playerName(data.voterId)} voted for ${action} ${playerName(data.playerId)} (skip ${data.votes.skip}, kick ${data.votes.kick}, ${data.votesNeeded} needed)`, 'system');
+    });
+
+    socket.on("idle_resolved", (data) => {
+        const mine = data.playerId === myPlayerId;
+        const who = playerName(data.playerId);
+        const messages = {
+            returned: mine ? "You are back - idle warning withdrawn" : `${who} is back`,
+            skip: mine ? "Your turn was skipped by your opponents' vote" : `${who}'s turn was skipped by vote`,
+            kick: mine ? "You were kicked by your opponents' vote and forfeited" : `${who} was kicked by vote and forfeited`,
+            forfeit: mine ? "You were idle for too long and forfeited" : `${who} was idle for too long and forfeited`
+        };
+        logMessage(messages[data.outcome] || `${who}: ${data.outcome}`, 'system');
+        if (data.playerId === idleVoteTargetId) {
+            hideIdleVote();
+        }
+        if (mine && data.outcome !== "returned") {
+            clearGameSelections();
+            showToast('error', messages[data.outcome]);
+        }
+    });
+
     socket.on("game_started", (gameState) => {
         hideLoading();
         logMessage("The game has started!", 'success');
+        logMessage(`Game seed: ${gameState.seed} (quote it in bug reports to reproduce this game)`, 'system');
         updateGameView(gameState);
         showToast('success', 'The game has started!');
     });
@@ -671,6 +1495,13 @@ document.addEventListener("DOMContentLoaded", () => {
     socket.on("game_over", (data) => {
         hideLoading();
         logMessage(`Game over: ${data.message}`, 'system');
+        if (data.replayId) {
+            logMessage("Replay saved - watch it from Recent Replays in the lobby", 'system');
+        }
+        const myRating = data.ratingChanges?.[myPlayerId];
+        if (myRating) {
+            logMessage(`Rating: ${myRating.before} → ${myRating.after} (${myRating.delta >= 0 ? '+' : ''}${myRating.delta})`, 'system');
+        }
         showToast('success', data.message);
         
         if (currentGameState) {
@@ -684,21 +1515,50 @@ document.addEventListener("DOMContentLoaded", () => {
             clearGameSelections();
             showLobby();
             socket.emit("request_lobby_data");
+            socket.emit("request_replays");
+            socket.emit("request_leaderboard");
         }, 5000);
     });
 
+    socket.on("leaderboard", (entries) => {
+        updateLeaderboard(entries);
+    });
+
+    socket.on("replay_list", (replays) => {
+        updateReplayList(replays);
+    });
+
+    socket.on("replay_data", (replayData) => {
+        hideLoading();
+        if (currentGameState) return; // Replays are only watched from the lobby
+        startReplay(replayData);
+    });
+
     socket.on("stats_update", (data) => {
         updateStats(data.globalStats, data.playerStats);
     });
 
+    socket.on("server_announcement", (data) => {
+        showToast('success', `📢 ${data.message}`);
+        logMessage(`Server announcement: ${data.message}`, 'system');
+    });
+
     socket.on("global_stats_update", (globalStats) => {
         updateStats(globalStats, { wins: playerWins.textContent, losses: playerLosses.textContent });
     });
 
-    socket.on("error_message", (msg) => {
+    // A handler refused one of our requests
+    socket.on("error_message", ({ code, message }) => {
+        hideLoading();
+        showToast('error', message);
+        logMessage(`Error (${code}): ${message}`, 'error');
+    });
+
+    // An event was refused before the server handled it (bad payload, rate limit)
+    socket.on("event_rejected", ({ event, code, message }) => {
         hideLoading();
-        showToast('error', msg);
-        logMessage(`Error: ${msg}`, 'error');
+        showToast('error', message);
+        logMessage(`Request ${event} rejected (${code}): ${message}`, 'error');
     });
 
     // 
@@ -707,7 +1567,64 @@ document.addEventListener("DOMContentLoaded", () => {
 
     createGameBtn.addEventListener('click', () => {
         showLoading("Creating game...");
-        socket.emit("create_game");
+        socket.emit("create_game", {
+            rules: {
+                boardSize: parseInt(boardSizeOption.value, 10),
+                maxPlayers: parseInt(maxPlayersOption.value, 10),
+                eliminationThreshold: parseInt(eliminationOption.value, 10),
+                diagonalRange: parseInt(diagonalRangeOption.value, 10),
+                fogOfWar: fogOption.checked
+            },
+            isPrivate: privateOption.checked
+        });
+    });
+
+    Object.entries(chatElements).forEach(([channel, { form, input }]) => {
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const text = input.value.trim();
+            if (!text) return;
+            socket.emit("chat_message", { channel, text });
+            input.value = "";
+        });
+    });
+
+    joinCodeBtn.addEventListener('click', () => {
+        const code = inviteCodeInput.value.trim();
+        if (!code) {
+            showToast('error', 'Enter an invite code');
+            return;
+        }
+        joinByCode(code);
+        inviteCodeInput.value = "";
+    });
+
+    inviteCodeInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') joinCodeBtn.click();
+    });
+
+    copyInviteBtn.addEventListener('click', () => {
+        const link = `${window.location.origin}${window.location.pathname}?join=${currentGameState.inviteCode}`;
+        navigator.clipboard.writeText(link)
+            .then(() => showToast('success', 'Invite link copied!'))
+            .catch(() => showToast('error', `Could not copy - share this link: ${link}`));
+    });
+
+    readyBtn.addEventListener('click', () => {
+        const amReady = !!currentGameState?.players[myPlayerId]?.isReady;
+        socket.emit("set_ready", { ready: !amReady });
+    });
+
+    // Host actions on player cards (buttons are re-created on every update)
+    playersContainer.addEventListener('click', (event) => {
+        const kickBtn = event.target.closest(".kick-player-btn");
+        const transferBtn = event.target.closest(".transfer-host-btn");
+        
+        if (kickBtn && confirm("Kick this player? They will not be able to rejoin this game.")) {
+            socket.emit("kick_player", { playerId: kickBtn.dataset.playerId });
+        } else if (transferBtn && confirm("Make this player the host?")) {
+            socket.emit("transfer_host", { playerId: transferBtn.dataset.playerId });
+        }
     });
 
     startGameBtn.addEventListener('click', () => {
@@ -715,20 +1632,65 @@ document.addEventListener("DOMContentLoaded", () => {
         socket.emit("start_game");
     });
 
+    addBotBtn.addEventListener('click', () => {
+        socket.emit("add_bot", { difficulty: botDifficultySelect.value });
+        logMessage(`Adding ${botDifficultySelect.value} bot...`, 'system');
+    });
+
+    leaveSpectateBtn.addEventListener('click', () => {
+        socket.emit("leave_spectate");
+        currentGameState = null;
+        showLobby();
+        logMessage("Stopped watching the game", 'system');
+    });
+
     endTurnBtn.addEventListener('click', () => {
         if (currentGameState && currentGameState.currentPlayerId === myPlayerId) {
             logMessage("Ending turn...", 'system');
             showLoading("Ending turn...");
-            socket.emit("game_action", { action: "end_turn" });
+            sendGameAction({ action: "end_turn" });
             clearGameSelections();
         }
     });
 
+    voteSkipBtn.addEventListener('click', () => {
+        if (!idleVoteTargetId) return;
+        socket.emit("vote_idle", { playerId: idleVoteTargetId, choice: "skip" });
+        voteSkipBtn.disabled = true;
+        voteKickBtn.disabled = true;
+    });
+
+    voteKickBtn.addEventListener('click', () => {
+        if (!idleVoteTargetId) return;
+        socket.emit("vote_idle", { playerId: idleVoteTargetId, choice: "kick" });
+        voteSkipBtn.disabled = true;
+        voteKickBtn.disabled = true;
+    });
+
     clearSelectionBtn.addEventListener('click', () => {
         clearGameSelections();
         logMessage("Selection cleared", 'system');
     });
 
+    replayBackBtn.addEventListener('click', () => {
+        pauseReplay();
+        seekReplay(activeReplay.step - 1);
+    });
+
+    replayForwardBtn.addEventListener('click', () => {
+        pauseReplay();
+        seekReplay(activeReplay.step + 1);
+    });
+
+    replayPlayBtn.addEventListener('click', toggleReplayPlayback);
+
+    replayExitBtn.addEventListener('click', () => {
+        showLobby();
+        socket.emit("request_lobby_data");
+        socket.emit("request_replays");
+        socket.emit("request_leaderboard");
+    });
+
     // Monster selection buttons - Direct event listeners for better compatibility
     function setupMonsterButtons() {
         const monsterButtons = document.querySelectorAll('.monster-btn');
@@ -771,8 +1733,13 @@ document.addEventListener("DOMContentLoaded", () => {
     // INITIALIZATION
     // 
 
+    // Drop the invite code from the address bar so a refresh does not try to join again
+    if (pendingInviteCode) {
+        window.history.replaceState(null, "", window.location.pathname);
+    }
+
     // Render empty board initially
-    renderBoard(Array(10).fill(null).map(() => Array(10).fill(null)));
+    renderBoard(createEmptyBoard(DEFAULT_RULES.boardSize));
     
     // Setup monster buttons
     setupMonsterButtons();
@@ -0,0 +1,121 @@
+/**
+ * Monster Mayhem Activity Monitor
+ *
+ * Decides what happens to players who stop playing. Only the player whose turn it is can
+ * hold a game up, so in an active game the monitor watches the current player: they are
+ * idle since their last activity or the start of their turn, whichever is later. Once idle
+ * for idleWarningMs they are warned and their opponents may vote to skip their turn or kick
+ * them; once idle for idleForfeitMs they forfeit. Waiting games nobody has touched for
+ * staleGameMs are closed.
+ *
+ * The monitor only keeps the bookkeeping (who was warned, who voted for what); the server
+ * applies the outcomes and tells the clients.
+ */
+
+const VOTE_CHOICES = ["skip", "kick"];
+
+class ActivityMonitor {
+    /**
+     * @param {Object} options - { idleWarningMs, idleForfeitMs, staleGameMs }
+     */
+    constructor({ idleWarningMs, idleForfeitMs, staleGameMs }) {
+        this.idleWarningMs = idleWarningMs;
+        this.idleForfeitMs = idleForfeitMs;
+        this.staleGameMs = staleGameMs;
+        this.watches = new Map(); // gameId -> { playerId, warnedAt, votes: Map<voterId, choice> }
+    }
+
+    /**
+     * Check the current player of an active game
+     * @param {string} gameId - Game ID
+     * @param {string} playerId - Player whose turn it is
+     * @param {number} idleSince - Later of the player's last activity and the start of their turn
+     * @param {number} now - Current time in ms since epoch
+     * @returns {string|null} "warn" when the player has just gone idle, "forfeit" when they
+     *   have been idle for too long, otherwise null
+     */
+    checkTurn(gameId, playerId, idleSince, now) {
+        const watch = this.watches.get(gameId);
+        if (watch && (watch.playerId !== playerId || idleSince > watch.warnedAt)) {
+            this.watches.delete(gameId); // The turn moved on since the warning
+        }
+
+        const idleMs = now - idleSince;
+        if (idleMs >= this.idleForfeitMs) return "forfeit";
+        if (idleMs >= this.idleWarningMs && !this.watches.has(gameId)) {
+            this.watches.set(gameId, { playerId, warnedAt: now, votes: new Map() });
+            return "warn";
+        }
+        return null;
+    }
+
+    /**
+     * Note that a player did something; a warning against them is withdrawn
+     * @param {string} gameId - Player's game
+     * @param {string} playerId - Active player
+     * @returns {boolean} True if the player had been warned
+     */
+    markActive(gameId, playerId) {
+        if (this.watches.get(gameId)?.playerId !== playerId) return false;
+        this.watches.delete(gameId);
+        return true;
+    }
+
+    /**
+     * Count an opponent's vote against a warned player. A majority of kick votes kicks the
+     * player; otherwise a majority of all votes (kick votes included) skips their turn.
+     * @param {string} gameId - Game ID
+     * @param {string} voterId - Voting player
+     * @param {string} targetId - Idle player
+     * @param {string} choice - "skip" or "kick"
+     * @param {number} voterCount - Number of players allowed to vote
+     * @returns {Object} { success: true, votes: { skip, kick }, votesNeeded, outcome } where
+     *   outcome is "skip", "kick" or null, or { success: false, message }
+     */
+    castVote(gameId, voterId, targetId, choice, voterCount) {
+        const watch = this.watches.get(gameId);
+        if (!watch || watch.playerId !== targetId) {
+            return { success: false, message: "That player has not been flagged as idle." };
+        }
+        if (!VOTE_CHOICES.includes(choice)) {
+            return { success: false, message: "Invalid vote." };
+        }
+
+        watch.votes.set(voterId, choice);
+        const votes = { skip: 0, kick: 0 };
+        watch.votes.forEach(vote => votes[vote]++);
+
+        const votesNeeded = Math.floor(voterCount / 2) + 1;
+        let outcome = null;
+        if (votes.kick >= votesNeeded) {
+            outcome = "kick";
+        } else if (votes.skip + votes.kick >= votesNeeded) {
+            outcome = "skip";
+        }
+
+        if (outcome) this.watches.delete(gameId);
+        return { success: true, votes, votesNeeded, outcome };
+    }
+
+    /**
+     * Check if a waiting game has gone unused for too long
+     * @param {number} lastTouchedAt - Last activity of any of its players
+     * @param {number} now - Current time in ms since epoch
+     * @returns {boolean} True if the game should be closed
+     */
+    isStale(lastTouchedAt, now) {
+        return now - lastTouchedAt >= this.staleGameMs;
+    }
+
+    /**
+     * Drop the bookkeeping of a game (turn resolved, game over or deleted)
+     * @param {string} gameId - Game ID
+     */
+    forget(gameId) {
+        this.watches.delete(gameId);
+    }
+}
+
+ActivityMonitor.VOTE_CHOICES = VOTE_CHOICES;
+
+module.exports = ActivityMonitor;
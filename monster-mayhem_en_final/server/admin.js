@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const express = require("express");
+
+/**
+ * Monster Mayhem Admin API
+ *
+ * Small REST API for operators, mounted at /admin/api. Every request must carry the
+ * ADMIN_TOKEN from .env as "Authorization: Bearer <token>"; when no token is configured
+ * the API is switched off and answers 503, so it is never left open by accident.
+ *
+ * The router only deals with HTTP (authentication, parameters, status codes). What the
+ * routes actually do to games and sockets is supplied by the server as plain functions
+ * returning the usual { success, message } results.
+ */
+
+/**
+ * Compare a presented token with the configured one in constant time
+ * @param {string} presented - Token sent by the client
+ * @param {string} expected - Configured admin token
+ * @returns {boolean} True if the tokens match
+ */
+function tokensMatch(presented, expected) {
+    // Hash both sides so timingSafeEqual always compares buffers of the same length
+    const a = crypto.createHash("sha256").update(presented).digest();
+    const b = crypto.createHash("sha256").update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware that only lets requests with the admin bearer token through
+ * @param {string} token - Configured admin token (falsy disables the API)
+ * @returns {Function} Middleware
+ */
+function requireAdminToken(token) {
+    return (req, res, next) => {
+        if (!token) {
+            return res.status(503).json({ error: "Admin API is disabled (ADMIN_TOKEN not set)." });
+        }
+
+        const [scheme, presented] = (req.get("authorization") || "").split(" ");
+        if (scheme !== "Bearer" || !presented || !tokensMatch(presented, token)) {
+            return res.status(401).json({ error: "Invalid or missing admin token." });
+        }
+        next();
+    };
+}
+
+/**
+ * Build the admin router
+ * @param {Object} options - { token, listGames, getGameState, endGame, kickSocket, announce }
+ *   listGames()                 -> Array of game summaries
+ *   getGameState(gameId)        -> Full game state, or null if there is no such game
+ *   endGame(gameId)             -> Promise of { success, message }
+ *   kickSocket(socketId, reason) -> { success, message }
+ *   announce(message)           -> { success, message }
+ * @returns {express.Router} Router to mount at /admin/api
+ */
+function createAdminRouter({ token, listGames, getGameState, endGame, kickSocket, announce }) {
+    const router = express.Router();
+    router.use(requireAdminToken(token));
+    router.use(express.json());
+
+    /**
+     * Send an action result: 200 on success, the given status otherwise
+     */
+    const sendResult = (res, result, failureStatus) => {
+        if (result.success) return res.json(result);
+        res.status(failureStatus).json({ error: result.message });
+    };
+
+    // List games with their status and players
+    router.get("/games", (req, res) => {
+        res.json(listGames());
+    });
+
+    // Full state of one game
+    router.get("/games/:gameId", (req, res) => {
+        const state = getGameState(req.params.gameId);
+        if (!state) return res.status(404).json({ error: "Game not found." });
+        res.json(state);
+    });
+
+    // Force-end a game in progress (no winner)
+    router.post("/games/:gameId/end", async (req, res) => {
+        if (!getGameState(req.params.gameId)) return res.status(404).json({ error: "Game not found." });
+        sendResult(res, await endGame(req.params.gameId), 409);
+    });
+
+    // Disconnect a socket, optionally telling the player why
+    router.post("/sockets/:socketId/kick", (req, res) => {
+        sendResult(res, kickSocket(req.params.socketId, req.body?.reason), 404);
+    });
+
+    // Broadcast a server announcement to every connected client
+    router.post("/announcements", (req, res) => {
+        sendResult(res, announce(req.body?.message), 400);
+    });
+
+    // Errors thrown by the routes (including malformed JSON bodies)
+    router.use((err, req, res, next) => {
+        if (err.type === "entity.parse.failed") {
+            return res.status(400).json({ error: "Malformed JSON body." });
+        }
+        console.error("Admin API error:", err);
+        res.status(500).json({ error: "Internal server error." });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter, requireAdminToken };
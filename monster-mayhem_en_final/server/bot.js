@@ -0,0 +1,207 @@
+/**
+ * Monster Mayhem AI Bot
+ *
+ * Computer-controlled opponent that fills empty seats. A bot never touches the board
+ * directly: it only inspects the Game and proposes one action at a time in the same
+ * format the client sends with "game_action", which the server then applies through
+ * Game.placeMonster / moveMonster / endTurn exactly like a human action.
+ * Random choices are drawn from the game's seeded RNG, so bot play is reproduced
+ * along with the rest of the game.
+ *
+ * Difficulties:
+ * - easy:   places a random monster on a random legal square, makes one random move, ends turn
+ * - medium: greedy and combat-aware - counters the most common enemy type when placing,
+ *           attacks monsters it beats and avoids squares enemies can capture
+ *
+ * Bots plan on the board as their own player sees it (Game.getBoardFor), so with fog of
+ * war they only know the enemies in sight, and not the type of those not yet revealed.
+ */
+
+const sharedRules = require("../shared/rules");
+
+const { MONSTER_TYPES, BEATS } = sharedRules;
+
+const DIFFICULTIES = ["easy", "medium"];
+
+class Bot {
+    /**
+     * @param {string} id - Player ID used by the bot inside the game
+     * @param {string} difficulty - "easy" or "medium"
+     */
+    constructor(id, difficulty = "easy") {
+        this.id = id;
+        this.difficulty = DIFFICULTIES.includes(difficulty) ? difficulty : "easy";
+    }
+
+    /**
+     * Decide the bot's next action for the current turn
+     * @param {Game} game - Game in which it is the bot's turn
+     * @returns {Object} Action in game_action format ({ action, ... })
+     */
+    nextAction(game) {
+        return this.difficulty === "medium"
+            ? this.nextMediumAction(game)
+            : this.nextEasyAction(game);
+    }
+
+    //
+    // LEGAL ACTION HELPERS
+    //
+
+    /**
+     * List every empty square on the bot's edge
+     * @param {Game} game - Current game
+     * @returns {Array} Array of {x, y} positions
+     */
+    getPlacements(game) {
+        return game.getLegalActions(this.id).placements;
+    }
+
+    /**
+     * List every legal move of the bot's monsters that may still move this turn
+     * @param {Game} game - Current game
+     * @returns {Array} Array of { monster, x, y }
+     */
+    getMoves(game) {
+        const monsters = game.players[this.id].monsters;
+
+        return game.getLegalActions(this.id).moves.flatMap(({ monsterId, destinations }) => {
+            const monster = monsters.find(m => m.id === monsterId);
+            return destinations.map(({ x, y }) => ({ monster, x, y }));
+        });
+    }
+
+    //
+    // EASY: RANDOM LEGAL PLAY
+    //
+
+    nextEasyAction(game) {
+        const placements = this.getPlacements(game);
+        if (placements.length > 0) {
+            const { x, y } = game.rng.pick(placements);
+            return { action: "place_monster", type: game.rng.pick(MONSTER_TYPES), x, y };
+        }
+
+        // Make at most one move per turn
+        const hasMoved = game.turnActions[this.id]?.movedMonsters?.size > 0;
+        const moves = hasMoved ? [] : this.getMoves(game);
+        if (moves.length > 0) {
+            const { monster, x, y } = game.rng.pick(moves);
+            return { action: "move_monster", monsterId: monster.id, newX: x, newY: y };
+        }
+
+        return { action: "end_turn" };
+    }
+
+    //
+    // MEDIUM: GREEDY COMBAT-AWARE PLAY
+    //
+
+    nextMediumAction(game) {
+        const board = game.getBoardFor(this.id);
+        const placements = this.getPlacements(game);
+        if (placements.length > 0) {
+            const type = this.chooseCounterType(game, board);
+            const safest = placements
+                .map(pos => ({ ...pos, score: -this.threatAt(game, board, type, pos.x, pos.y) + game.rng.next() * 0.1 }))
+                .sort((a, b) => b.score - a.score)[0];
+            return { action: "place_monster", type, x: safest.x, y: safest.y };
+        }
+
+        const bestMove = this.getMoves(game)
+            .map(move => ({ ...move, score: this.scoreMove(game, board, move) }))
+            .sort((a, b) => b.score - a.score)[0];
+
+        if (bestMove && bestMove.score > 0) {
+            return { action: "move_monster", monsterId: bestMove.monster.id, newX: bestMove.x, newY: bestMove.y };
+        }
+
+        return { action: "end_turn" };
+    }
+
+    /**
+     * Pick the monster type that beats the most enemy monsters of known type on the board
+     * @param {Game} game - Current game
+     * @param {Array} board - Board as the bot sees it
+     * @returns {string} Monster type
+     */
+    chooseCounterType(game, board) {
+        const enemyCounts = { vampire: 0, werewolf: 0, ghost: 0 };
+        this.getEnemyMonsters(board).forEach(m => {
+            if (m.type) enemyCounts[m.type]++;
+        });
+
+        const best = Math.max(...Object.values(enemyCounts));
+        if (best === 0) return game.rng.pick(MONSTER_TYPES);
+
+        const candidates = MONSTER_TYPES.filter(type => enemyCounts[BEATS[type]] === best);
+        return game.rng.pick(candidates);
+    }
+
+    /**
+     * Score a move: captures are good, losing fights and exposed squares are bad,
+     * and advancing toward the centre of the board is slightly preferred
+     * @param {Game} game - Current game
+     * @param {Array} board - Board as the bot sees it
+     * @param {Object} move - { monster, x, y }
+     * @returns {number} Move score (higher is better)
+     */
+    scoreMove(game, board, { monster, x, y }) {
+        let score = 0;
+        const target = board[y][x];
+
+        if (target) {
+            if (!target.type) score += 1; // Unknown type: a gamble, worth about an even trade
+            else if (BEATS[monster.type] === target.type) score += 10; // We win the fight
+            else if (BEATS[target.type] === monster.type) score -= 10; // We lose the fight
+            else score += 1; // Same type: both removed, an even trade
+        }
+
+        score -= this.threatAt(game, board, monster.type, x, y) * 5;
+        const { boardSize } = game.rules;
+        score += (distanceFromCentre(monster.x, monster.y, boardSize) - distanceFromCentre(x, y, boardSize)) * 0.2;
+        return score;
+    }
+
+    /**
+     * Count enemy monsters in sight that beat the given type (or might: their type is
+     * unknown) and could move onto a square
+     * @param {Game} game - Current game
+     * @param {Array} board - Board as the bot sees it
+     * @param {string} type - Type of the bot's monster on that square
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Number of threatening enemy monsters
+     */
+    threatAt(game, board, type, x, y) {
+        return this.getEnemyMonsters(board)
+            .filter(enemy => (!enemy.type || BEATS[enemy.type] === type) &&
+                sharedRules.isValidMove(board, game.rules, enemy.owner, enemy, x, y))
+            .length;
+    }
+
+    /**
+     * Get the monsters of other players on the bot's view of the board
+     * @param {Array} board - Board as the bot sees it
+     * @returns {Array} Enemy monster objects
+     */
+    getEnemyMonsters(board) {
+        return board.flat().filter(monster => monster && monster.owner !== this.id);
+    }
+}
+
+/**
+ * Chebyshev distance from the centre of the board
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} boardSize - Width/height of the board
+ * @returns {number} Distance
+ */
+function distanceFromCentre(x, y, boardSize) {
+    const centre = (boardSize - 1) / 2;
+    return Math.max(Math.abs(x - centre), Math.abs(y - centre));
+}
+
+Bot.DIFFICULTIES = DIFFICULTIES;
+
+module.exports = Bot;
@@ -0,0 +1,110 @@
+/**
+ * Monster Mayhem Chat
+ *
+ * Chat channels for players: one global lobby channel and one channel per game,
+ * keyed on the game's Socket.IO room (the game ID). The server never trusts chat
+ * input: messages are trimmed, length-limited and HTML-escaped before they are
+ * stored or broadcast, and each socket may only send a few messages per time window.
+ * A short scrollback per channel is kept so players who join late can catch up.
+ */
+
+const LOBBY_CHANNEL = "lobby";
+
+/**
+ * Escape the characters that are meaningful in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Text safe to insert as HTML
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+class ChatHistory {
+    /**
+     * @param {Object} options - { maxMessageLength, scrollbackSize, rateLimit, rateWindowMs }
+     */
+    constructor({ maxMessageLength = 300, scrollbackSize = 50, rateLimit = 5, rateWindowMs = 10000 } = {}) {
+        this.maxMessageLength = maxMessageLength;
+        this.scrollbackSize = scrollbackSize;
+        this.rateLimit = rateLimit;
+        this.rateWindowMs = rateWindowMs;
+        this.channels = new Map(); // channel -> [{ id, playerId, text, timestamp, isSpectator }]
+        this.nextMessageId = 1;
+    }
+
+    /**
+     * Check the rate limit for a sender and count the attempt
+     * @param {Array} sentAt - Timestamps of the sender's recent messages (mutated)
+     * @returns {boolean} True if the sender may send another message now
+     */
+    tryConsume(sentAt) {
+        const now = Date.now();
+        while (sentAt.length > 0 && now - sentAt[0] >= this.rateWindowMs) {
+            sentAt.shift();
+        }
+        if (sentAt.length >= this.rateLimit) return false;
+
+        sentAt.push(now);
+        return true;
+    }
+
+    /**
+     * Validate, sanitize and store a chat message
+     * @param {string} channel - LOBBY_CHANNEL or a game ID
+     * @param {string} playerId - Sender
+     * @param {*} text - Message text as received from the client
+     * @param {Object} extra - Additional fields stored with the message (e.g. isSpectator)
+     * @returns {Object} { success: true, chatMessage } or { success: false, message }
+     */
+    addMessage(channel, playerId, text, extra = {}) {
+        if (typeof text !== "string" || text.trim().length === 0) {
+            return { success: false, message: "Message is empty." };
+        }
+
+        const trimmed = text.trim();
+        if (trimmed.length > this.maxMessageLength) {
+            return { success: false, message: `Message is too long (max ${this.maxMessageLength} characters).` };
+        }
+
+        const chatMessage = {
+            id: this.nextMessageId++,
+            playerId,
+            text: escapeHtml(trimmed),
+            timestamp: Date.now(),
+            ...extra
+        };
+
+        const history = this.channels.get(channel) || [];
+        history.push(chatMessage);
+        if (history.length > this.scrollbackSize) {
+            history.splice(0, history.length - this.scrollbackSize);
+        }
+        this.channels.set(channel, history);
+
+        return { success: true, chatMessage };
+    }
+
+    /**
+     * Get the scrollback of a channel
+     * @param {string} channel - LOBBY_CHANNEL or a game ID
+     * @returns {Array} Oldest-first messages
+     */
+    getScrollback(channel) {
+        return [...(this.channels.get(channel) || [])];
+    }
+
+    /**
+     * Forget a channel (when its game is cleaned up)
+     * @param {string} channel - Game ID
+     */
+    deleteChannel(channel) {
+        this.channels.delete(channel);
+    }
+}
+
+module.exports = { ChatHistory, LOBBY_CHANNEL, escapeHtml };
@@ -0,0 +1,40 @@
+/**
+ * Monster Mayhem Command Queue
+ *
+ * Runs commands strictly one after another. A command may be synchronous or return a
+ * promise; the next command only starts once the previous one has settled, so a command
+ * that awaits something (a store write, a timer, ...) can never interleave with the next
+ * one. When the queue is idle a command starts right away, in the caller's tick, so
+ * synchronous commands behave exactly like a direct call.
+ *
+ * The server keeps one queue per game for everything that changes the game or commits a
+ * new version of it (joining, readying, starting, player and bot actions, turn timeouts,
+ * players leaving, disconnecting or being kicked, admin actions, state resyncs) and one
+ * for the global statistics.
+ */
+class CommandQueue {
+    constructor() {
+        this.tail = Promise.resolve(); // Settles when the last queued command has finished
+        this.pending = 0; // Commands queued or running
+    }
+
+    /**
+     * Add a command to the end of the queue
+     * @param {Function} command - Function to run once every earlier command has settled
+     * @returns {Promise} Resolves with the command's result, rejects with its error
+     */
+    enqueue(command) {
+        this.pending++;
+        const run = this.pending === 1
+            ? new Promise(resolve => resolve(command())) // Idle: run now, a throw becomes a rejection
+            : this.tail.then(() => command());
+
+        // A failed command must not stop the ones queued after it
+        this.tail = run.catch(() => {}).finally(() => {
+            this.pending--;
+        });
+        return run;
+    }
+}
+
+module.exports = CommandQueue;
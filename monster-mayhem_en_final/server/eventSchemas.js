@@ -0,0 +1,228 @@
+const { MONSTER_TYPES } = require("../shared/rules");
+const Bot = require("./bot");
+const SeededRandom = require("./random");
+const ActivityMonitor = require("./activityMonitor");
+
+/**
+ * Monster Mayhem Event Schemas
+ *
+ * Declared shape of every event a client may send, checked in one place (the socket
+ * middleware in server.js) before any handler runs, so handlers can rely on the types
+ * and only check game rules. Each event lists its arguments, whether it takes an
+ * acknowledgement callback, the token-bucket rate a socket may send it at and whether
+ * it counts as player activity: activity: true keeps the player's waiting game from being
+ * closed, activity: "turn" (turn actions only) also keeps the player from being idle on
+ * their turn.
+ *
+ * Value schemas:
+ * - { type: "string", minLength, maxLength, pattern }
+ * - { type: "integer", min, max }
+ * - { type: "boolean" }
+ * - { type: "enum", values }
+ * - { type: "object", fields } (keys that are not declared are rejected)
+ * Any value schema may add name (used in messages), optional: true (may be missing)
+ * and nullable: true (may be null).
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PLAYER_ID_PATTERN = /^(bot-)?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Token-bucket rates: { capacity (burst), refillPerSecond }
+const RATES = {
+    play: { capacity: 10, refillPerSecond: 5 },     // Turn actions and lookups during a turn
+    request: { capacity: 10, refillPerSecond: 2 },  // Read-only data requests
+    manage: { capacity: 5, refillPerSecond: 1 },    // Joining, readying, hosting
+    create: { capacity: 3, refillPerSecond: 0.2 }   // New games
+};
+
+// Shared bucket for event names that are not declared below
+const UNKNOWN_EVENT_RATE = RATES.manage;
+
+const GAME_ID = { name: "gameId", type: "string", pattern: UUID_PATTERN };
+const PLAYER_TARGET = {
+    name: "data",
+    type: "object",
+    fields: { playerId: { type: "string", pattern: PLAYER_ID_PATTERN } }
+};
+const HOST_NUMBER = { type: "integer", optional: true, nullable: true }; // Ranges are checked by RuleSet
+const COORDINATE = { type: "integer", min: 0, optional: true };
+
+const EVENT_SCHEMAS = {
+    create_game: {
+        args: [{
+            name: "options",
+            type: "object",
+            optional: true,
+            fields: {
+                rules: {
+                    type: "object",
+                    optional: true,
+                    nullable: true,
+                    fields: {
+                        boardSize: HOST_NUMBER,
+                        maxPlayers: HOST_NUMBER,
+                        eliminationThreshold: HOST_NUMBER,
+                        diagonalRange: HOST_NUMBER,
+                        visionRadius: HOST_NUMBER,
+                        fogOfWar: { type: "boolean", optional: true, nullable: true }
+                    }
+                },
+                isPrivate: { type: "boolean", optional: true },
+                seed: { type: "integer", min: 0, max: SeededRandom.MAX_SEED, optional: true, nullable: true }
+            }
+        }],
+        rate: RATES.create,
+        activity: true
+    },
+    join_game: { args: [GAME_ID], rate: RATES.manage, activity: true },
+    join_by_code: { args: [{ name: "code", type: "string", minLength: 1, maxLength: 16 }], rate: RATES.manage, activity: true },
+    start_game: { args: [], rate: RATES.manage, activity: true },
+    add_bot: {
+        args: [{ name: "data", type: "object", fields: { difficulty: { type: "enum", values: Bot.DIFFICULTIES } } }],
+        rate: RATES.manage,
+        activity: true
+    },
+    set_ready: {
+        args: [{ name: "data", type: "object", fields: { ready: { type: "boolean" } } }],
+        rate: RATES.manage,
+        activity: true
+    },
+    kick_player: { args: [PLAYER_TARGET], rate: RATES.manage, activity: true },
+    transfer_host: { args: [PLAYER_TARGET], rate: RATES.manage, activity: true },
+    spectate_game: { args: [GAME_ID], rate: RATES.manage },
+    leave_spectate: { args: [], rate: RATES.manage },
+    game_action: {
+        args: [{
+            name: "action",
+            type: "object",
+            fields: {
+                action: { type: "enum", values: ["place_monster", "move_monster", "end_turn"] },
+                version: { type: "integer", min: 0 },
+                requestId: { type: "string", minLength: 1, maxLength: 64 },
+                type: { type: "enum", values: MONSTER_TYPES, optional: true },
+                x: COORDINATE,
+                y: COORDINATE,
+                monsterId: { type: "string", pattern: UUID_PATTERN, optional: true },
+                newX: COORDINATE,
+                newY: COORDINATE
+            }
+        }],
+        ack: true,
+        rate: RATES.play,
+        activity: "turn"
+    },
+    get_legal_actions: { args: [], ack: true, rate: RATES.play },
+    request_game_state: { args: [], rate: RATES.manage },
+    chat_message: {
+        args: [{
+            name: "message",
+            type: "object",
+            fields: {
+                channel: { type: "enum", values: ["lobby", "game"] },
+                text: { type: "string" } // Length is checked by ChatHistory
+            }
+        }],
+        rate: RATES.request
+    },
+    vote_idle: {
+        args: [{
+            name: "data",
+            type: "object",
+            fields: {
+                playerId: { type: "string", pattern: PLAYER_ID_PATTERN },
+                choice: { type: "enum", values: ActivityMonitor.VOTE_CHOICES }
+            }
+        }],
+        rate: RATES.manage,
+        activity: true
+    },
+    request_leaderboard: { args: [], rate: RATES.request },
+    request_lobby_data: { args: [], rate: RATES.request },
+    request_replays: { args: [], rate: RATES.request },
+    request_replay: { args: [GAME_ID], rate: RATES.request }
+};
+
+/**
+ * Check a value against a value schema
+ * @param {Object} schema - Value schema (see above)
+ * @param {*} value - Value received from the client
+ * @param {string} path - Name of the value, for the error message
+ * @returns {string|null} What is wrong with the value, or null if it matches
+ */
+function checkValue(schema, value, path) {
+    if (value === undefined) return schema.optional ? null : `${path} is required.`;
+    if (value === null) return schema.nullable ? null : `${path} must not be null.`;
+
+    switch (schema.type) {
+        case "string":
+            if (typeof value !== "string") return `${path} must be a string.`;
+            if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} is too short.`;
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is too long.`;
+            if (schema.pattern && !schema.pattern.test(value)) return `${path} is malformed.`;
+            return null;
+
+        case "integer":
+            if (!Number.isInteger(value)) return `${path} must be a whole number.`;
+            if (schema.min !== undefined && value < schema.min) return `${path} must be at least ${schema.min}.`;
+            if (schema.max !== undefined && value > schema.max) return `${path} must be at most ${schema.max}.`;
+            return null;
+
+        case "boolean":
+            return typeof value === "boolean" ? null : `${path} must be true or false.`;
+
+        case "enum":
+            return schema.values.includes(value) ? null : `${path} must be one of: ${schema.values.join(", ")}.`;
+
+        case "object": {
+            if (typeof value !== "object" || Array.isArray(value)) return `${path} must be an object.`;
+
+            const unknownKey = Object.keys(value).find(key => !Object.hasOwn(schema.fields, key));
+            if (unknownKey !== undefined) return `${path}.${unknownKey.slice(0, 30)} is not allowed.`;
+
+            for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+                const error = checkValue(fieldSchema, value[key], `${path}.${key}`);
+                if (error) return error;
+            }
+            return null;
+        }
+
+        default:
+            return `${path} has an unsupported schema.`;
+    }
+}
+
+/**
+ * Check an inbound event against its declared schema
+ * @param {string} event - Event name
+ * @param {Array} args - Event arguments, including a trailing acknowledgement callback if any
+ * @returns {Object} { success: true } or { success: false, code, message }
+ */
+function validateEvent(event, args) {
+    // Own keys only: inherited names such as "constructor" or "__proto__" are not events
+    const schema = Object.hasOwn(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+    if (!schema) {
+        return { success: false, code: "unknown_event", message: "Unknown event." };
+    }
+
+    const payload = [...args];
+    if (typeof payload[payload.length - 1] === "function") {
+        payload.pop();
+        if (!schema.ack) {
+            return { success: false, code: "invalid_payload", message: `${event} does not take an acknowledgement.` };
+        }
+    }
+
+    if (payload.length > schema.args.length) {
+        return { success: false, code: "invalid_payload", message: `Too many arguments for ${event}.` };
+    }
+
+    for (const [index, argSchema] of schema.args.entries()) {
+        const error = checkValue(argSchema, payload[index], argSchema.name);
+        if (error) {
+            return { success: false, code: "invalid_payload", message: `Invalid ${event}: ${error}` };
+        }
+    }
+    return { success: true };
+}
+
+module.exports = { EVENT_SCHEMAS, UNKNOWN_EVENT_RATE, validateEvent };
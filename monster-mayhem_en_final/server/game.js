@@ -1,4 +1,7 @@
-const { v4: uuidv4 } = require("uuid");
+const RuleSet = require("./ruleSet");
+const SeededRandom = require("./random");
+const sharedRules = require("../shared/rules");
+const { diffState } = require("../shared/statePatch");
 
 /**
  * Monster Mayhem Game Class
@@ -7,30 +10,85 @@ const { v4: uuidv4 } = require("uuid");
  * This class handles game state, player management, monster placement/movement,
  * combat resolution, and turn management.
  * 
- * Game Rules:
+ * Game Rules (numbers are the classic defaults, see RuleSet for the configurable variants):
  * - 10x10 grid board
  * - Up to 4 players, each assigned an edge (top, bottom, left, right)
  * - Three monster types: vampire, werewolf, ghost
  * - Combat rules: vampire beats ghost, ghost beats werewolf, werewolf beats vampire
  * - Players eliminated when 10 monsters are lost
+ * - Diagonal moves limited to 2 squares
  * - Turn order based on fewest monsters (with random tiebreaker)
+ * - Every random decision and monster ID comes from the game's seeded RNG (see
+ *   server/random.js), and the seed is part of the state and the replay, so a game can
+ *   be reproduced exactly
+ * - Optional turn clock: a per-turn limit and/or a chess-style time bank; a turn that
+ *   runs out of time is ended automatically and repeated timeouts forfeit the player
+ *
+ * Placement and movement validation lives in shared/rules.js, which the browser loads
+ * as well, so client-side highlights and server-side checks cannot drift apart.
+ *
+ * Every state change of a started game is recorded as a typed domain event (monster_placed,
+ * monster_moved, combat_resolved, player_eliminated, round_started, turn_changed, ...).
+ * The ordered event log (see recordEvent/getReplay) lets finished matches be replayed
+ * step by step, and the events not yet broadcast (see takeEvents) go out with the next
+ * state patch so clients can tell what happened.
+ *
+ * The state sent to clients is versioned: commitState() diffs it against the last
+ * committed state so the server can broadcast small patches (see shared/statePatch.js).
+ *
+ * With the fog-of-war rule each player gets their own view of the board (getState with
+ * a requesting player): squares out of sight are sent empty and enemy monster types stay
+ * hidden until one of the player's monsters is adjacent or the monster has fought.
  */
 class Game {
-    constructor(gameId, creatorId) {
+    /**
+     * @param {string} gameId - Unique game ID
+     * @param {string} creatorId - Player creating the game
+     * @param {RuleSet|Object} rules - Rule set for this game (board size, elimination count,
+     *   diagonal range, player cap and turn clock settings); plain objects are wrapped in a RuleSet
+     * @param {Object} options - { isPrivate, inviteCode, rng }: private games are hidden from the lobby
+     *   and can only be joined with their invite code; rng is the SeededRandom to draw from
+     *   (a freshly seeded one when omitted)
+     */
+    constructor(gameId, creatorId, rules = new RuleSet(), { isPrivate = false, inviteCode = null, rng = new SeededRandom() } = {}) {
         this.id = gameId;
+        this.isPrivate = isPrivate;
+        this.inviteCode = inviteCode;
+        this.hostId = creatorId; // Player allowed to start the game, add bots, kick and hand over hosting
+        this.kickedPlayerIds = new Set(); // Players removed by the host may not rejoin
+        this.rules = rules instanceof RuleSet ? rules : new RuleSet(rules);
+        this.rng = rng; // Source of every random decision in the game, bots included
+        const { boardSize } = this.rules;
         this.players = {}; // { playerId: { id, edge, monsters: [], monstersLost: 0 } }
-        this.board = Array(10).fill(null).map(() => Array(10).fill(null)); // 10x10 grid
+        this.board = Array(boardSize).fill(null).map(() => Array(boardSize).fill(null)); // boardSize x boardSize grid
         this.playerOrder = []; // Array of playerIds in turn order
         this.currentPlayerIndex = 0;
         this.round = 1;
-        this.availableEdges = ["top", "bottom", "left", "right"];
+        this.availableEdges = [...this.rules.edges];
         this.status = "waiting"; // waiting, active, finished
         this.winner = null;
         // Track turn actions to enforce game rules
         this.turnActions = {}; // { playerId: { placedMonster: boolean, placedMonsterId: string, movedMonsters: Set<monsterId> } }
-        
-        // Concurrency control - prevent simultaneous actions
-        this.actionLock = false;
+
+        // Ordered match record: [{ seq, type, round, timestamp, ...data }]
+        this.eventLog = [];
+        this.pendingEvents = []; // Recorded events not yet sent to clients
+        this.startedAt = null;
+        this.finishedAt = null;
+        // Players knocked out of a started game, first out first: [{ playerId, isBot, reason }]
+        this.eliminationOrder = [];
+
+        // Versioned client state: the last committed snapshot of each view ("*" is the
+        // full board, fogged players have their own) and a version counter shared by all views
+        this.stateVersion = 0;
+        this.committedStates = {};
+
+        // Turn clock
+        this.turnTimeLimitMs = this.rules.turnTimeLimitMs;
+        this.timeBankMs = this.rules.timeBankMs;
+        this.maxConsecutiveTimeouts = this.rules.maxConsecutiveTimeouts;
+        this.turnStartedAt = null;
+        this.turnBeganAt = null; // When the current player got the turn, timed or not (for idle detection)
 
         this.addPlayer(creatorId);
     }
@@ -38,15 +96,19 @@ class Game {
     /**
      * Add a player to the game
      * @param {string} playerId - Unique identifier for the player
+     * @param {Object} options - { botDifficulty } when the seat is filled by an AI bot
      * @returns {Object} Success/failure result with message
      */
-    addPlayer(playerId) {
-        if (this.playerOrder.length >= 4 || this.status !== "waiting") {
+    addPlayer(playerId, { botDifficulty = null } = {}) {
+        if (this.playerOrder.length >= this.rules.maxPlayers || this.status !== "waiting") {
             return { success: false, message: "Game full or already started." };
         }
         if (this.players[playerId]) {
             return { success: false, message: "Player already in game." };
         }
+        if (this.kickedPlayerIds.has(playerId)) {
+            return { success: false, message: "You were removed from this game by the host." };
+        }
 
         const edge = this.availableEdges.shift();
         if (!edge) {
@@ -59,6 +121,13 @@ class Game {
             edge: edge,
             monsters: [], // { id, type, x, y, owner }
             monstersLost: 0,
+            disconnected: false, // True while the player is inside the reconnect grace period
+            isBot: !!botDifficulty,
+            botDifficulty,
+            timeBankRemainingMs: this.timeBankMs, // null when no time bank is used
+            consecutiveTimeouts: 0,
+            forfeited: false,
+            ready: !!botDifficulty, // Bots are always ready
         };
         this.playerOrder.push(playerId);
 
@@ -78,8 +147,7 @@ class Game {
         const edge = this.players[playerId].edge;
         this.availableEdges.push(edge); // Make edge available again
         this.availableEdges.sort((a, b) => 
-            ["top", "bottom", "left", "right"].indexOf(a) - 
-            ["top", "bottom", "left", "right"].indexOf(b)
+            this.rules.edges.indexOf(a) - this.rules.edges.indexOf(b)
         ); // Keep original order
 
         // Remove player's monsters from board
@@ -89,6 +157,8 @@ class Game {
             }
         });
 
+        const previousCurrentPlayer = this.getCurrentPlayer();
+
         // Remove player from turn order
         const playerIndex = this.playerOrder.indexOf(playerId);
         if (playerIndex > -1) {
@@ -104,8 +174,19 @@ class Game {
             }
         }
 
+        if (this.status === "active" && !this.isPlayerEliminated(playerId)) {
+            this.recordElimination(playerId, "left");
+        }
         delete this.players[playerId];
         delete this.turnActions[playerId];
+        if (this.hostId === playerId) {
+            // Hand hosting to the longest-seated human; bots never host
+            this.hostId = this.playerOrder.find(pid => !this.players[pid].isBot) || null;
+            if (this.hostId) console.log(`Player ${this.hostId} is now host of game ${this.id}`);
+        }
+        if (this.status === "active") {
+            this.recordEvent("player_left", { playerId });
+        }
         console.log(`Player ${playerId} removed from game ${this.id}`);
 
         // Adjust current player index if it becomes invalid
@@ -123,24 +204,175 @@ class Game {
                 this.endGame(winner);
             } else if (this.playerOrder.length < 2) {
                 this.endGame(); // End game if fewer than 2 players remain
+            } else if (this.getCurrentPlayer() !== previousCurrentPlayer) {
+                this.startTurnClock(); // The turn passed to someone else
             }
         }
     }
 
     /**
-     * Start the game (minimum 2 players required)
+     * Mark a player as temporarily disconnected.
+     * The player keeps their seat, edge and monsters; if it is their turn it is skipped,
+     * and later turns skip them until they reconnect.
+     * @param {string} playerId - Player whose connection dropped
+     * @param {Object} options - { keepTurn }: leave the turn with the player (used when a
+     *   restored game waits for its players to come back)
+     * @returns {Object} Success/failure result with message
+     */
+    markPlayerDisconnected(playerId, { keepTurn = false } = {}) {
+        const player = this.players[playerId];
+        if (!player) {
+            return { success: false, message: "Player not in game." };
+        }
+
+        player.disconnected = true;
+        console.log(`Player ${playerId} disconnected from game ${this.id}, holding seat`);
+
+        if (!keepTurn && this.getCurrentPlayer() === playerId) {
+            this.endTurn(playerId, { reason: "disconnect" });
+        }
+        return { success: true };
+    }
+
+    /**
+     * Mark a previously disconnected player as connected again
+     * @param {string} playerId - Player who reconnected
+     * @returns {Object} Success/failure result with message
+     */
+    markPlayerReconnected(playerId) {
+        const player = this.players[playerId];
+        if (!player) {
+            return { success: false, message: "Player not in game." };
+        }
+
+        player.disconnected = false;
+        console.log(`Player ${playerId} reconnected to game ${this.id}`);
+        return { success: true };
+    }
+
+    /**
+     * Check if a player is currently disconnected (seat held during grace period)
+     * @param {string} playerId - Player to check
+     * @returns {boolean} True if player is disconnected
+     */
+    isPlayerDisconnected(playerId) {
+        return !!this.players[playerId]?.disconnected;
+    }
+
+    /**
+     * Check if every remaining player is an AI bot (no humans left to play for)
+     * @returns {boolean} True if only bots remain
+     */
+    hasOnlyBots() {
+        return this.playerOrder.length > 0 && this.playerOrder.every(pid => this.players[pid].isBot);
+    }
+
+    /**
+     * Mark a player as ready (or not) to start
+     * @param {string} playerId - Player toggling readiness
+     * @param {boolean} ready - New ready state
+     * @returns {Object} Success/failure result with message
+     */
+    setPlayerReady(playerId, ready) {
+        const player = this.players[playerId];
+        if (!player) {
+            return { success: false, message: "Player not in game." };
+        }
+        if (this.status !== "waiting") {
+            return { success: false, message: "The game has already started." };
+        }
+
+        player.ready = !!ready;
+        console.log(`Player ${playerId} is ${player.ready ? "ready" : "not ready"} in game ${this.id}`);
+        return { success: true };
+    }
+
+    /**
+     * Check if every seated player is ready to start
+     * @returns {boolean} True if all players are ready
+     */
+    areAllPlayersReady() {
+        return this.playerOrder.every(pid => this.players[pid].ready);
+    }
+
+    /**
+     * Remove a player from a waiting game at the host's request; they cannot rejoin
+     * @param {string} hostId - Player requesting the kick
+     * @param {string} targetId - Player to remove
+     * @returns {Object} Success/failure result with message
+     */
+    kickPlayer(hostId, targetId) {
+        if (this.hostId !== hostId) {
+            return { success: false, message: "Only the host can kick players." };
+        }
+        if (this.status !== "waiting") {
+            return { success: false, message: "Players can only be kicked before the game starts." };
+        }
+        if (targetId === hostId) {
+            return { success: false, message: "You cannot kick yourself." };
+        }
+        if (!this.players[targetId]) {
+            return { success: false, message: "Player not in game." };
+        }
+
+        this.kickedPlayerIds.add(targetId);
+        this.removePlayer(targetId);
+        console.log(`Player ${targetId} was kicked from game ${this.id} by ${hostId}`);
+        return { success: true };
+    }
+
+    /**
+     * Hand the host role to another human player
+     * @param {string} hostId - Current host
+     * @param {string} targetId - New host
+     * @returns {Object} Success/failure result with message
+     */
+    transferHost(hostId, targetId) {
+        if (this.hostId !== hostId) {
+            return { success: false, message: "Only the host can transfer hosting." };
+        }
+        if (targetId === hostId) {
+            return { success: false, message: "You are already the host." };
+        }
+        const target = this.players[targetId];
+        if (!target) {
+            return { success: false, message: "Player not in game." };
+        }
+        if (target.isBot) {
+            return { success: false, message: "Bots cannot host a game." };
+        }
+
+        this.hostId = targetId;
+        console.log(`Host of game ${this.id} transferred from ${hostId} to ${targetId}`);
+        return { success: true };
+    }
+
+    /**
+     * Start the game (minimum 2 players required, all of them ready)
      * @returns {boolean} True if game started successfully
      */
     startGame() {
-        if (this.status !== "waiting" || this.playerOrder.length < 2) {
+        if (this.status !== "waiting" || this.playerOrder.length < 2 || !this.areAllPlayersReady()) {
             return false; // Cannot start game
         }
         this.status = "active";
         // Determine initial turn order (randomly)
-        this.playerOrder.sort(() => Math.random() - 0.5);
+        this.rng.shuffle(this.playerOrder);
         this.currentPlayerIndex = 0;
         this.round = 1;
         this.resetTurnActions();
+        this.startedAt = Date.now();
+        this.startTurnClock();
+        this.recordEvent("game_started", {
+            playerOrder: [...this.playerOrder],
+            edges: this.playerOrder.reduce((acc, pid) => {
+                acc[pid] = this.players[pid].edge;
+                return acc;
+            }, {}),
+            currentPlayerId: this.getCurrentPlayer(),
+            rules: this.rules.toJSON(),
+            seed: this.rng.seed
+        });
         console.log(`Game ${this.id} started. Turn order: ${this.playerOrder.join(", ")}`);
         return true;
     }
@@ -190,17 +422,47 @@ class Game {
         const player = this.players[playerId];
         if (!player) return false;
 
-        if (x < 0 || x > 9 || y < 0 || y > 9) return false; // Out of bounds
-        if (this.board[y][x] !== null) return false; // Square occupied
+        return sharedRules.isValidPlacement(this.board, this.rules, player.edge, x, y);
+    }
 
-        // Check if placement is on player's edge
-        switch (player.edge) {
-            case "top": return y === 0;
-            case "bottom": return y === 9;
-            case "left": return x === 0;
-            case "right": return x === 9;
-            default: return false;
+    /**
+     * List everything a player may legally do right now
+     * @param {string} playerId - Player to query
+     * @returns {Object} { isYourTurn, canPlace, placements: [{x, y}],
+     *   moves: [{ monsterId, type, from: {x, y}, destinations: [{x, y}] }], canEndTurn }
+     */
+    getLegalActions(playerId) {
+        const player = this.players[playerId];
+        const isYourTurn = !!player && this.getCurrentPlayer() === playerId;
+        if (!isYourTurn) {
+            return { isYourTurn: false, canPlace: false, placements: [], moves: [], canEndTurn: false };
         }
+
+        const turnActions = this.turnActions[playerId];
+        const board = this.getBoardFor(playerId);
+        const canPlace = !turnActions?.placedMonster;
+        const placements = canPlace
+            ? sharedRules.getValidPlacements(board, this.rules, player.edge)
+            : [];
+
+        // The monster placed this turn and monsters that already moved cannot move again
+        const moves = player.monsters
+            .filter(m => m.id !== turnActions?.placedMonsterId && !turnActions?.movedMonsters?.has(m.id))
+            .map(monster => ({
+                monsterId: monster.id,
+                type: monster.type,
+                from: { x: monster.x, y: monster.y },
+                destinations: sharedRules.getValidMoves(board, this.rules, playerId, monster)
+            }))
+            .filter(move => move.destinations.length > 0);
+
+        return {
+            isYourTurn,
+            canPlace: placements.length > 0,
+            placements,
+            moves,
+            canEndTurn: true
+        };
     }
 
     /**
@@ -212,43 +474,36 @@ class Game {
      * @returns {Object} Success/failure result with message
      */
     placeMonster(playerId, type, x, y) {
-        // Concurrency control - prevent simultaneous actions
-        if (this.actionLock) {
-            return { success: false, message: "Another action is in progress. Please wait." };
+        if (this.getCurrentPlayer() !== playerId) {
+            return { success: false, message: "Not your turn." };
+        }
+        if (this.turnActions[playerId]?.placedMonster) {
+            return { success: false, message: "You have already placed a monster this turn." };
+        }
+        if (!sharedRules.MONSTER_TYPES.includes(type)) {
+            return { success: false, message: "Invalid monster type." };
+        }
+        if (!this.isValidPlacement(playerId, x, y)) {
+            return { success: false, message: "Invalid position to place monster (must be on your edge and empty)." };
         }
-        this.actionLock = true;
-
-        try {
-            if (this.getCurrentPlayer() !== playerId) {
-                return { success: false, message: "Not your turn." };
-            }
-            if (this.turnActions[playerId]?.placedMonster) {
-                return { success: false, message: "You have already placed a monster this turn." };
-            }
-            if (!["vampire", "werewolf", "ghost"].includes(type)) {
-                return { success: false, message: "Invalid monster type." };
-            }
-            if (!this.isValidPlacement(playerId, x, y)) {
-                return { success: false, message: "Invalid position to place monster (must be on your edge and empty)." };
-            }
 
-            const monsterId = uuidv4();
-            const newMonster = { id: monsterId, type, x, y, owner: playerId };
+        const monsterId = this.rng.uuid(); // Seeded, so a replayed game gets the same IDs
+        const newMonster = { id: monsterId, type, x, y, owner: playerId };
 
-            this.players[playerId].monsters.push(newMonster);
-            this.board[y][x] = newMonster;
-            this.turnActions[playerId].placedMonster = true;
-            this.turnActions[playerId].placedMonsterId = monsterId; // FIXED: Store the placed monster ID
+        this.players[playerId].monsters.push(newMonster);
+        this.board[y][x] = newMonster;
+        this.turnActions[playerId].placedMonster = true;
+        this.turnActions[playerId].placedMonsterId = monsterId; // FIXED: Store the placed monster ID
+        this.players[playerId].consecutiveTimeouts = 0;
+        this.recordEvent("monster_placed", { playerId, monster: { ...newMonster } });
 
-            console.log(`Player ${playerId} placed ${type} (${monsterId}) at (${x}, ${y})`);
-            return { success: true, message: `Monster ${type} placed at (${x}, ${y}).` };
-        } finally {
-            this.actionLock = false; // Always release lock
-        }
+        console.log(`Player ${playerId} placed ${type} (${monsterId}) at (${x}, ${y})`);
+        return { success: true, message: `Monster ${type} placed at (${x}, ${y}).` };
     }
 
     /**
-     * Check if a monster movement is valid
+     * Check if a monster movement is valid, on the board as the player sees it: with fog
+     * of war a hidden enemy does not block the path (see getPathStop)
      * @param {string} playerId - Player attempting the move
      * @param {Object} monster - Monster object to move
      * @param {number} newX - Target X coordinate
@@ -256,133 +511,127 @@ class Game {
      * @returns {boolean} True if move is valid
      */
     isValidMove(playerId, monster, newX, newY) {
-        if (newX < 0 || newX > 9 || newY < 0 || newY > 9) return false; // Out of bounds
-
-        const dx = Math.abs(newX - monster.x);
-        const dy = Math.abs(newY - monster.y);
-
-        // Check movement type
-        const isDiagonal = dx > 0 && dy > 0;
-        const isStraight = (dx > 0 && dy === 0) || (dx === 0 && dy > 0);
+        return sharedRules.isValidMove(this.getBoardFor(playerId), this.rules, playerId, monster, newX, newY);
+    }
 
-        if (!isStraight && !isDiagonal) return false; // No movement
-        if (isDiagonal && (dx > 2 || dy > 2)) return false; // Diagonal limit is 2 squares
+    /**
+     * Board a player plans their turn on: their fogged view with fog of war, otherwise
+     * the real board. Legal actions worked out on the real board would give away
+     * hidden enemies by the squares they make unreachable.
+     * @param {string} playerId - Acting player
+     * @returns {Array} Board to validate the player's actions against
+     */
+    getBoardFor(playerId) {
+        return this.isFogged(playerId)
+            ? this.getFoggedBoard(playerId, this.getVisibleSquares(playerId))
+            : this.board;
+    }
 
-        // FIXED: Improved path checking for diagonal movement
+    /**
+     * Find where a valid move really ends: at the destination, or on the square of the
+     * first enemy on the path, which the moving monster runs into (only possible with
+     * fog of war, where the enemy was hidden when the move was checked)
+     * @param {Object} monster - Monster being moved
+     * @param {number} newX - Target X coordinate
+     * @param {number} newY - Target Y coordinate
+     * @returns {Object} { x, y } of the square the monster stops on
+     */
+    getPathStop(monster, newX, newY) {
         const stepX = Math.sign(newX - monster.x);
         const stepY = Math.sign(newY - monster.y);
-        
-        // Check each step in the path
-        let currentX = monster.x;
-        let currentY = monster.y;
-        
-        while (currentX !== newX || currentY !== newY) {
-            // Move one step towards destination
-            if (currentX !== newX) currentX += stepX;
-            if (currentY !== newY) currentY += stepY;
-            
-            // Check bounds
-            if (currentX < 0 || currentX > 9 || currentY < 0 || currentY > 9) {
-                return false;
-            }
-            
-            const squareContent = this.board[currentY][currentX];
-            
-            // If this is the final destination
-            if (currentX === newX && currentY === newY) {
-                // Can land on empty square or opponent's monster (for combat)
-                if (!squareContent || squareContent.owner !== playerId) {
-                    return true;
-                }
-                // Cannot land on own monster
-                return false;
-            } else {
-                // Intermediate squares: can pass over own monsters, but not opponents'
-                if (squareContent && squareContent.owner !== playerId) {
-                    return false; // Path blocked by opponent
-                }
-            }
-        }
+        let x = monster.x;
+        let y = monster.y;
 
-        return true;
+        while (x !== newX || y !== newY) {
+            if (x !== newX) x += stepX;
+            if (y !== newY) y += stepY;
+
+            const squareContent = this.board[y][x];
+            if (squareContent && squareContent.owner !== monster.owner) break;
+        }
+        return { x, y };
     }
 
     /**
      * Move a monster on the board
      * @param {string} playerId - Player moving the monster
      * @param {string} monsterId - ID of monster to move
-     * @param {number} newX - Target X coordinate
-     * @param {number} newY - Target Y coordinate
+     * @param {number} requestedX - Target X coordinate
+     * @param {number} requestedY - Target Y coordinate
      * @returns {Object} Success/failure result with message
      */
-    moveMonster(playerId, monsterId, newX, newY) {
-        // Concurrency control - prevent simultaneous actions
-        if (this.actionLock) {
-            return { success: false, message: "Another action is in progress. Please wait." };
+    moveMonster(playerId, monsterId, requestedX, requestedY) {
+        if (this.getCurrentPlayer() !== playerId) {
+            return { success: false, message: "Not your turn." };
         }
-        this.actionLock = true;
-
-        try {
-            if (this.getCurrentPlayer() !== playerId) {
-                return { success: false, message: "Not your turn." };
-            }
-
-            const player = this.players[playerId];
-            const monsterIndex = player.monsters.findIndex(m => m.id === monsterId);
-            if (monsterIndex === -1) {
-                return { success: false, message: "Monster not found." };
-            }
-
-            const monster = player.monsters[monsterIndex];
 
-            // FIXED: Check if this monster was just placed this turn
-            if (this.turnActions[playerId]?.placedMonsterId === monsterId) {
-                return { success: false, message: "You cannot move the monster you just placed this turn." };
-            }
-
-            // Check if this monster has already moved this turn
-            if (this.turnActions[playerId]?.movedMonsters?.has(monsterId)) {
-                return { success: false, message: "This monster has already moved this turn." };
-            }
-
-            if (!this.isValidMove(playerId, monster, newX, newY)) {
-                return { success: false, message: "Invalid move (distance, obstacle, or out of bounds)." };
-            }
-
-            const oldX = monster.x;
-            const oldY = monster.y;
+        const player = this.players[playerId];
+        const monsterIndex = player.monsters.findIndex(m => m.id === monsterId);
+        if (monsterIndex === -1) {
+            return { success: false, message: "Monster not found." };
+        }
 
-            // Check destination square for conflicts *before* moving
-            const destinationContent = this.board[newY][newX];
+        const monster = player.monsters[monsterIndex];
 
-            // Update board: remove from old position, place in new position
-            this.board[oldY][oldX] = null;
-            this.board[newY][newX] = monster;
+        // FIXED: Check if this monster was just placed this turn
+        if (this.turnActions[playerId]?.placedMonsterId === monsterId) {
+            return { success: false, message: "You cannot move the monster you just placed this turn." };
+        }
 
-            // Update monster's position in player's list
-            monster.x = newX;
-            monster.y = newY;
+        // Check if this monster has already moved this turn
+        if (this.turnActions[playerId]?.movedMonsters?.has(monsterId)) {
+            return { success: false, message: "This monster has already moved this turn." };
+        }
 
-            // Mark monster as moved this turn
-            this.turnActions[playerId].movedMonsters.add(monsterId);
+        if (!this.isValidMove(playerId, monster, requestedX, requestedY)) {
+            return { success: false, message: "Invalid move (distance, obstacle, or out of bounds)." };
+        }
 
-            console.log(`Player ${playerId} moved ${monster.type} (${monsterId}) from (${oldX}, ${oldY}) to (${newX}, ${newY})`);
+        const oldX = monster.x;
+        const oldY = monster.y;
+        const { x: newX, y: newY } = this.getPathStop(monster, requestedX, requestedY);
+        const stoppedShort = newX !== requestedX || newY !== requestedY;
+
+        // Check destination square for conflicts *before* moving
+        const destinationContent = this.board[newY][newX];
+
+        // Update board: remove from old position, place in new position
+        this.board[oldY][oldX] = null;
+        this.board[newY][newX] = monster;
+
+        // Update monster's position in player's list
+        monster.x = newX;
+        monster.y = newY;
+
+        // Mark monster as moved this turn
+        this.turnActions[playerId].movedMonsters.add(monsterId);
+        player.consecutiveTimeouts = 0;
+        this.recordEvent("monster_moved", {
+            playerId,
+            monsterId,
+            from: { x: oldX, y: oldY },
+            to: { x: newX, y: newY }
+        });
 
-            // Handle conflicts on the destination square
-            if (destinationContent) {
-                this.handleConflict(newX, newY, monster, destinationContent);
-            }
+        console.log(`Player ${playerId} moved ${monster.type} (${monsterId}) from (${oldX}, ${oldY}) to (${newX}, ${newY})`);
 
-            // Check for elimination and winner after potential conflict resolution
-            const winner = this.checkForWinner();
-            if (winner) {
-                this.endGame(winner);
-            }
+        // Handle conflicts on the destination square
+        if (destinationContent) {
+            this.handleConflict(newX, newY, monster, destinationContent);
+        }
 
-            return { success: true, message: `Monster moved to (${newX}, ${newY}).` };
-        } finally {
-            this.actionLock = false; // Always release lock
+        // Check for elimination and winner after potential conflict resolution
+        const winner = this.checkForWinner();
+        if (winner) {
+            this.endGame(winner);
         }
+
+        return {
+            success: true,
+            message: stoppedShort
+                ? `Your monster ran into a hidden enemy at (${newX}, ${newY}).`
+                : `Monster moved to (${newX}, ${newY}).`
+        };
     }
 
     /**
@@ -411,10 +660,22 @@ class Game {
 
         console.log(`Conflict at (${x}, ${y}): ${type1} (Player ${movingMonster.owner}) vs ${type2} (Player ${existingMonster.owner})`);
 
+        // Fighting reveals both types (fog of war)
+        movingMonster.revealed = true;
+        existingMonster.revealed = true;
+
+        const combat = {
+            x,
+            y,
+            attacker: { id: movingMonster.id, type: type1, owner: movingMonster.owner },
+            defender: { id: existingMonster.id, type: type2, owner: existingMonster.owner }
+        };
+
         // Apply combat rules
         if (type1 === type2) {
             // Same type monsters: both are removed
             console.log(` -> Both ${type1} monsters removed.`);
+            this.recordEvent("combat_resolved", { ...combat, removed: [movingMonster.id, existingMonster.id] });
             this.removeMonster(movingMonster.id, movingMonster.owner);
             this.removeMonster(existingMonster.id, existingMonster.owner);
             return;
@@ -433,6 +694,7 @@ class Game {
         }
 
         if (removedMonster) {
+            this.recordEvent("combat_resolved", { ...combat, removed: [removedMonster.id] });
             this.removeMonster(removedMonster.id, removedMonster.owner);
         }
     }
@@ -450,6 +712,7 @@ class Game {
         if (monsterIndex === -1) return;
 
         const monster = player.monsters[monsterIndex];
+        const wasEliminated = this.isPlayerEliminated(ownerId);
 
         // Remove from board
         if (this.board[monster.y]?.[monster.x]?.id === monsterId) {
@@ -462,21 +725,29 @@ class Game {
         console.log(`Player ${ownerId} lost a ${monster.type}. Total lost: ${player.monstersLost}`);
 
         // Check elimination
-        if (this.isPlayerEliminated(ownerId)) {
+        if (!wasEliminated && this.isPlayerEliminated(ownerId)) {
             console.log(`Player ${ownerId} has been eliminated!`);
+            this.recordElimination(ownerId, "monsters_lost");
+            this.recordEvent("player_eliminated", { playerId: ownerId });
         }
     }
 
     /**
      * End the current player's turn
      * @param {string} playerId - Player ending their turn
+     * @param {Object} options - { reason: "manual" | "timeout" | "disconnect" | "idle" }
      * @returns {Object} Success/failure result with game state
      */
-    endTurn(playerId) {
+    endTurn(playerId, { reason = "manual" } = {}) {
         if (this.getCurrentPlayer() !== playerId) {
             return { success: false, message: "Not your turn." };
         }
 
+        this.consumeTurnClock(playerId);
+        if (reason === "manual") {
+            this.players[playerId].consecutiveTimeouts = 0;
+        }
+
         // Move to the next player in the order
         this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.playerOrder.length;
 
@@ -484,23 +755,31 @@ class Game {
         if (this.currentPlayerIndex === 0) {
             this.round++;
             console.log(`Starting Round ${this.round}`);
-            // Determine next turn order based on fewest monsters
+            // Determine next turn order based on fewest monsters: shuffling first and then
+            // sorting (Array#sort is stable) leaves players with equal counts in random order
+            this.rng.shuffle(this.playerOrder);
             this.playerOrder.sort((a, b) => {
                 const countA = this.players[a] ? this.players[a].monsters.length : Infinity;
                 const countB = this.players[b] ? this.players[b].monsters.length : Infinity;
-                if (countA === countB) {
-                    return Math.random() - 0.5; // Random tie-breaker
-                }
                 return countA - countB;
             });
             this.currentPlayerIndex = 0; // Start with the player with the fewest monsters
             console.log(`New turn order for Round ${this.round}: ${this.playerOrder.join(", ")}`);
+            this.recordEvent("round_started", { playerOrder: [...this.playerOrder] });
         }
 
-        // Skip eliminated players
+        // Skip eliminated players, and disconnected players as long as a human is still
+        // connected. Bots do not count: with no human left the game waits on the
+        // disconnected player's turn instead of letting bots play against their monsters.
+        const hasConnectedHuman = this.playerOrder.some(pid =>
+            !this.players[pid].isBot && !this.isPlayerEliminated(pid) && !this.isPlayerDisconnected(pid)
+        );
+        const shouldSkip = (pid) =>
+            this.isPlayerEliminated(pid) || (hasConnectedHuman && this.isPlayerDisconnected(pid));
+
         let skippedPlayers = 0;
-        while (this.isPlayerEliminated(this.getCurrentPlayer()) && this.status === "active") {
-            console.log(`Skipping eliminated player ${this.getCurrentPlayer()}`);
+        while (shouldSkip(this.getCurrentPlayer()) && this.status === "active") {
+            console.log(`Skipping ${this.isPlayerEliminated(this.getCurrentPlayer()) ? "eliminated" : "disconnected"} player ${this.getCurrentPlayer()}`);
             this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.playerOrder.length;
             skippedPlayers++;
             
@@ -518,6 +797,13 @@ class Game {
 
         // Reset actions for the *new* current player
         this.resetTurnActions(this.getCurrentPlayer());
+        this.startTurnClock();
+        this.recordEvent("turn_changed", {
+            playerId,
+            reason,
+            nextPlayerId: this.getCurrentPlayer(),
+            playerOrder: [...this.playerOrder]
+        });
 
         console.log(`Turn ended. Next player: ${this.getCurrentPlayer()}`);
         return { success: true, gameState: this.getState() };
@@ -529,7 +815,144 @@ class Game {
      * @returns {boolean} True if player is eliminated
      */
     isPlayerEliminated(playerId) {
-        return !this.players[playerId] || this.players[playerId].monstersLost >= 10;
+        return !this.players[playerId] || this.players[playerId].forfeited || this.players[playerId].monstersLost >= this.rules.eliminationThreshold;
+    }
+
+    /**
+     * Check if the game uses a turn clock at all
+     * @returns {boolean} True if turns are timed
+     */
+    hasTurnClock() {
+        return this.turnTimeLimitMs !== null || this.timeBankMs !== null;
+    }
+
+    /**
+     * Start timing the current player's turn
+     */
+    startTurnClock() {
+        this.turnBeganAt = this.status === "active" ? Date.now() : null;
+        this.turnStartedAt = this.hasTurnClock() && this.status === "active" ? Date.now() : null;
+    }
+
+    /**
+     * Charge the time used this turn against the player's time bank
+     * (only time beyond the per-turn limit is taken from the bank)
+     * @param {string} playerId - Player whose turn is ending
+     */
+    consumeTurnClock(playerId) {
+        const player = this.players[playerId];
+        if (!player || this.turnStartedAt === null || player.timeBankRemainingMs === null) return;
+
+        const elapsed = Date.now() - this.turnStartedAt;
+        const overtime = Math.max(0, elapsed - (this.turnTimeLimitMs || 0));
+        player.timeBankRemainingMs = Math.max(0, player.timeBankRemainingMs - overtime);
+    }
+
+    /**
+     * Get the timestamp at which the current turn runs out of time
+     * @returns {number|null} Deadline in ms since epoch, or null if turns are not timed
+     */
+    getTurnDeadline() {
+        const player = this.players[this.getCurrentPlayer()];
+        if (!player || this.turnStartedAt === null) return null;
+
+        const allowance = (this.turnTimeLimitMs || 0) + (player.timeBankRemainingMs || 0);
+        return this.turnStartedAt + allowance;
+    }
+
+    /**
+     * Get the time left in the current turn
+     * @returns {number|null} Remaining ms, or null if turns are not timed
+     */
+    getTurnTimeRemaining() {
+        const deadline = this.getTurnDeadline();
+        return deadline === null ? null : Math.max(0, deadline - Date.now());
+    }
+
+    /**
+     * Handle the current turn running out of time: end the turn automatically, or
+     * forfeit the player after too many timeouts in a row or an empty time bank
+     * @param {string} playerId - Player whose turn expired
+     * @returns {Object} Success/failure result with message
+     */
+    handleTurnTimeout(playerId) {
+        if (this.getCurrentPlayer() !== playerId) {
+            return { success: false, message: "Not this player's turn." };
+        }
+        if (this.getTurnTimeRemaining() !== 0) {
+            return { success: false, message: "Turn has not expired." };
+        }
+
+        const player = this.players[playerId];
+        player.consecutiveTimeouts++;
+        console.log(`Player ${playerId} ran out of time (${player.consecutiveTimeouts} in a row)`);
+
+        // Running past the deadline always uses up the whole bank, like a chess flag falling
+        const bankExhausted = player.timeBankRemainingMs !== null;
+        if (bankExhausted) player.timeBankRemainingMs = 0;
+
+        if (bankExhausted || player.consecutiveTimeouts >= this.maxConsecutiveTimeouts) {
+            this.forfeitPlayer(playerId);
+            return { success: true, message: "Player forfeited after running out of time.", forfeited: true };
+        }
+
+        this.endTurn(playerId, { reason: "timeout" });
+        return { success: true, message: "Turn ended automatically (time ran out)." };
+    }
+
+    /**
+     * Forfeit a player: they are eliminated and their monsters leave the board
+     * @param {string} playerId - Player forfeiting
+     */
+    forfeitPlayer(playerId) {
+        const player = this.players[playerId];
+        if (!player || player.forfeited) return;
+
+        const wasCurrentPlayer = this.getCurrentPlayer() === playerId;
+        player.forfeited = true;
+        player.monsters.forEach(monster => {
+            if (this.board[monster.y]?.[monster.x]?.id === monster.id) {
+                this.board[monster.y][monster.x] = null;
+            }
+        });
+        player.monsters = [];
+        console.log(`Player ${playerId} forfeited game ${this.id}`);
+        this.recordElimination(playerId, "forfeit");
+        this.recordEvent("player_eliminated", { playerId, reason: "forfeit" });
+
+        const winner = this.checkForWinner();
+        if (winner) {
+            this.endGame(winner);
+        } else if (wasCurrentPlayer) {
+            this.endTurn(playerId, { reason: "timeout" });
+        }
+    }
+
+    /**
+     * Remember that a player is out of the game, for the finishing order
+     * @param {string} playerId - Player knocked out
+     * @param {string} reason - monsters_lost, forfeit or left
+     */
+    recordElimination(playerId, reason) {
+        if (this.eliminationOrder.some(entry => entry.playerId === playerId)) return;
+        this.eliminationOrder.push({ playerId, isBot: !!this.players[playerId]?.isBot, reason });
+    }
+
+    /**
+     * Get the finishing order of a finished game: players still standing share first place
+     * (only the winner, unless the game was a draw), then eliminated players, last out first
+     * @returns {Array} [{ playerId, rank, isBot }] best first, equal ranks are ties
+     */
+    getStandings() {
+        const survivors = this.playerOrder
+            .filter(pid => !this.isPlayerEliminated(pid))
+            .map(pid => ({ playerId: pid, rank: 1, isBot: this.players[pid].isBot }));
+
+        const knockedOut = [...this.eliminationOrder]
+            .reverse()
+            .map((entry, index) => ({ playerId: entry.playerId, rank: survivors.length + index + 1, isBot: entry.isBot }));
+
+        return [...survivors, ...knockedOut];
     }
 
     /**
@@ -553,15 +976,273 @@ class Game {
 
         this.status = "finished";
         this.winner = winnerId;
+        this.finishedAt = Date.now();
+        if (this.startedAt) {
+            this.recordEvent("game_ended", { winner: winnerId });
+        }
         console.log(`Game ${this.id} finished. Winner: ${winnerId || 'None (Draw/Abort)'}`);
     }
 
+    /**
+     * Append an entry to the match event log (only once the game has started)
+     * @param {string} type - Event type (monster_placed, monster_moved, combat_resolved, ...)
+     * @param {Object} data - Event payload
+     */
+    recordEvent(type, data = {}) {
+        if (!this.startedAt) return;
+
+        const event = {
+            seq: this.eventLog.length,
+            type,
+            round: this.round,
+            timestamp: Date.now(),
+            ...data
+        };
+        this.eventLog.push(event);
+        this.pendingEvents.push(event);
+    }
+
+    /**
+     * Take the events recorded since the last call, to send them to clients
+     * @returns {Array} Events in the order they happened
+     */
+    takeEvents() {
+        const events = this.pendingEvents;
+        this.pendingEvents = [];
+        return events;
+    }
+
+    /**
+     * Filter events down to what a player may know. Without fog of war everyone gets
+     * every event; fogged players only hear about enemy monsters on squares they can
+     * see, with the monster type hidden unless their view of the board shows it, and
+     * enemy moves without the ends they cannot see.
+     * @param {Array} events - Events from takeEvents
+     * @param {string|null} viewerId - Receiving player
+     * @returns {Array} Events for that player
+     */
+    getEventsFor(events, viewerId) {
+        if (!this.isFogged(viewerId)) return events;
+
+        const visible = this.getVisibleSquares(viewerId);
+        const view = this.getFoggedBoard(viewerId, visible);
+
+        return events.reduce((visibleEvents, event) => {
+            if (event.playerId === viewerId) {
+                visibleEvents.push(event);
+            } else if (event.type === "monster_placed") {
+                const seen = view[event.monster.y][event.monster.x];
+                if (seen) visibleEvents.push({ ...event, monster: { ...event.monster, type: seen.type } });
+            } else if (event.type === "monster_moved") {
+                // Squares the player cannot see are left out (null)
+                const from = visible[event.from.y][event.from.x] ? event.from : null;
+                const to = visible[event.to.y][event.to.x] ? event.to : null;
+                if (from || to) visibleEvents.push({ ...event, from, to });
+            } else if (event.type === "combat_resolved") {
+                const involved = [event.attacker.owner, event.defender.owner].includes(viewerId);
+                if (involved || visible[event.y][event.x]) visibleEvents.push(event);
+            } else {
+                visibleEvents.push(event); // Turns, rounds and eliminations are public
+            }
+            return visibleEvents;
+        }, []);
+    }
+
+    /**
+     * Get the full match record for storage and replay
+     * @returns {Object} Replay data with the rule set and the ordered event log
+     */
+    getReplay() {
+        return {
+            gameId: this.id,
+            isPrivate: this.isPrivate,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            winner: this.winner,
+            rounds: this.round,
+            rules: this.rules.toJSON(),
+            seed: this.rng.seed,
+            events: this.eventLog
+        };
+    }
+
+    /**
+     * Plain snapshot of the whole game, for saving it across a server restart. Sets become
+     * arrays and the board is left out: it only holds references to the players' monsters,
+     * so fromJSON rebuilds it from them. The turn clock is saved as the time already used,
+     * so the downtime is not charged to the player whose turn it is.
+     * @returns {Object} Serializable game snapshot
+     */
+    toJSON() {
+        const players = {};
+        for (const [pid, player] of Object.entries(this.players)) {
+            players[pid] = { ...player, monsters: player.monsters.map(monster => ({ ...monster })) };
+        }
+
+        const turnActions = {};
+        for (const [pid, actions] of Object.entries(this.turnActions)) {
+            turnActions[pid] = { ...actions, movedMonsters: [...actions.movedMonsters] };
+        }
+
+        return {
+            id: this.id,
+            isPrivate: this.isPrivate,
+            inviteCode: this.inviteCode,
+            hostId: this.hostId,
+            kickedPlayerIds: [...this.kickedPlayerIds],
+            rules: this.rules.toJSON(),
+            rng: this.rng.toJSON(),
+            players,
+            playerOrder: [...this.playerOrder],
+            currentPlayerIndex: this.currentPlayerIndex,
+            round: this.round,
+            availableEdges: [...this.availableEdges],
+            status: this.status,
+            winner: this.winner,
+            turnActions,
+            eventLog: this.eventLog,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            eliminationOrder: this.eliminationOrder,
+            stateVersion: this.stateVersion,
+            turnTimeLimitMs: this.turnTimeLimitMs,
+            timeBankMs: this.timeBankMs,
+            maxConsecutiveTimeouts: this.maxConsecutiveTimeouts,
+            turnElapsedMs: this.turnStartedAt === null ? null : Date.now() - this.turnStartedAt,
+            turnBeganAt: this.turnBeganAt
+        };
+    }
+
+    /**
+     * Restore a game from a toJSON snapshot. Committed client states are not saved: every
+     * client gets a full state when it (re)joins, continuing the saved version counter.
+     * @param {Object} data - Snapshot from toJSON (possibly after a JSON round trip)
+     * @returns {Game} Restored game
+     */
+    static fromJSON(data) {
+        const game = Object.create(Game.prototype);
+        const rules = new RuleSet(data.rules);
+
+        Object.assign(game, {
+            id: data.id,
+            isPrivate: data.isPrivate,
+            inviteCode: data.inviteCode,
+            hostId: data.hostId,
+            kickedPlayerIds: new Set(data.kickedPlayerIds),
+            rules,
+            rng: SeededRandom.fromJSON(data.rng),
+            players: {},
+            board: Array(rules.boardSize).fill(null).map(() => Array(rules.boardSize).fill(null)),
+            playerOrder: [...data.playerOrder],
+            currentPlayerIndex: data.currentPlayerIndex,
+            round: data.round,
+            availableEdges: [...data.availableEdges],
+            status: data.status,
+            winner: data.winner,
+            turnActions: {},
+            eventLog: [...data.eventLog],
+            pendingEvents: [],
+            startedAt: data.startedAt,
+            finishedAt: data.finishedAt,
+            eliminationOrder: [...data.eliminationOrder],
+            stateVersion: data.stateVersion,
+            committedStates: {},
+            turnTimeLimitMs: data.turnTimeLimitMs,
+            timeBankMs: data.timeBankMs,
+            maxConsecutiveTimeouts: data.maxConsecutiveTimeouts,
+            turnStartedAt: data.turnElapsedMs === null ? null : Date.now() - data.turnElapsedMs,
+            turnBeganAt: data.turnBeganAt ?? null
+        });
+
+        // The board and the monster lists share the same monster objects
+        for (const [pid, player] of Object.entries(data.players)) {
+            const monsters = player.monsters.map(monster => ({ ...monster }));
+            game.players[pid] = { ...player, monsters };
+            for (const monster of monsters) {
+                game.board[monster.y][monster.x] = monster;
+            }
+        }
+
+        for (const [pid, actions] of Object.entries(data.turnActions)) {
+            game.turnActions[pid] = { ...actions, movedMonsters: new Set(actions.movedMonsters) };
+        }
+
+        return game;
+    }
+
+    /**
+     * Check if fog of war limits what a player sees (eliminated players, spectators
+     * and everyone once the game is over see the whole board)
+     * @param {string|null} playerId - Viewing player
+     * @returns {boolean} True if the player gets a filtered view
+     */
+    isFogged(playerId) {
+        return this.rules.fogOfWar && this.status === "active" &&
+            !!this.players[playerId] && !this.isPlayerEliminated(playerId);
+    }
+
+    /**
+     * Key of the view a player gets: their own when fogged, otherwise the shared full view
+     * @param {string|null} playerId - Viewing player
+     * @returns {string} View key
+     */
+    getViewKey(playerId) {
+        return this.isFogged(playerId) ? playerId : "*";
+    }
+
+    /**
+     * Work out which squares a player can see: everything within the vision radius
+     * of their edge or of one of their monsters
+     * @param {string} playerId - Viewing player
+     * @returns {Array} [y][x] booleans
+     */
+    getVisibleSquares(playerId) {
+        const { boardSize, visionRadius } = this.rules;
+        const player = this.players[playerId];
+        const last = boardSize - 1;
+        const edgeDistance = {
+            top: (x, y) => y,
+            bottom: (x, y) => last - y,
+            left: (x, y) => x,
+            right: (x, y) => last - x
+        }[player.edge];
+
+        return Array.from({ length: boardSize }, (_, y) => Array.from({ length: boardSize }, (_, x) =>
+            edgeDistance(x, y) <= visionRadius ||
+            player.monsters.some(m => Math.max(Math.abs(m.x - x), Math.abs(m.y - y)) <= visionRadius)
+        ));
+    }
+
+    /**
+     * Build the board as a fogged player sees it: unseen squares are empty and enemy
+     * monsters that are neither adjacent to one of the player's monsters nor revealed
+     * by combat are sent without their type
+     * @param {string} playerId - Viewing player
+     * @param {Array} visible - Result of getVisibleSquares
+     * @returns {Array} Filtered board
+     */
+    getFoggedBoard(playerId, visible) {
+        const ownMonsters = this.players[playerId].monsters;
+        const isAdjacent = (monster) => ownMonsters.some(m =>
+            Math.max(Math.abs(m.x - monster.x), Math.abs(m.y - monster.y)) <= 1);
+
+        return this.board.map((row, y) => row.map((monster, x) => {
+            if (!monster || !visible[y][x]) return null;
+            if (monster.owner === playerId || monster.revealed || isAdjacent(monster)) return monster;
+            return { id: monster.id, type: null, x: monster.x, y: monster.y, owner: monster.owner };
+        }));
+    }
+
     /**
      * Get the current game state for clients
-     * @param {string|null} requestingPlayerId - Player requesting the state (for future customization)
+     * @param {string|null} requestingPlayerId - Player requesting the state; with fog of war
+     *   the board and turn actions are filtered to what that player may know
      * @returns {Object} Serializable game state
      */
     getState(requestingPlayerId = null) {
+        const fogged = this.isFogged(requestingPlayerId);
+        const visible = fogged ? this.getVisibleSquares(requestingPlayerId) : null;
+
         return {
             id: this.id,
             players: Object.values(this.players).reduce((acc, p) => {
@@ -570,20 +1251,73 @@ class Game {
                     edge: p.edge,
                     monsterCount: p.monsters.length,
                     monstersLost: p.monstersLost,
-                    isEliminated: this.isPlayerEliminated(p.id)
+                    isEliminated: this.isPlayerEliminated(p.id),
+                    isConnected: !p.disconnected,
+                    isBot: p.isBot,
+                    botDifficulty: p.botDifficulty,
+                    isReady: p.ready,
+                    timeBankRemainingMs: p.timeBankRemainingMs
                 };
                 return acc;
             }, {}),
-            board: this.board,
+            board: fogged ? this.getFoggedBoard(requestingPlayerId, visible) : this.board,
+            // Rows of "1" (seen) and "0" (fogged) squares, null when the whole board is visible
+            visibility: fogged ? visible.map(row => row.map(v => (v ? "1" : "0")).join("")) : null,
             currentPlayerId: this.getCurrentPlayer(),
             round: this.round,
             status: this.status,
             winner: this.winner,
             playerOrder: this.playerOrder,
-            // Include turn action state for client UI
-            turnActions: this.turnActions
+            rules: this.rules.toJSON(),
+            seed: this.rng.seed, // Same seed + same actions = same game
+            isPrivate: this.isPrivate,
+            inviteCode: this.inviteCode,
+            hostId: this.hostId,
+            // Turn clock (null values mean turns are not timed)
+            turnTimeLimitMs: this.turnTimeLimitMs,
+            turnTimeRemainingMs: this.getTurnTimeRemaining(),
+            // Include turn action state for client UI (only the player's own when fogged)
+            turnActions: fogged
+                ? { [requestingPlayerId]: this.turnActions[requestingPlayerId] }
+                : this.turnActions,
+            version: this.getViewVersion(requestingPlayerId)
         };
     }
+
+    /**
+     * Version of the state a player was last sent. An action is only accepted if the
+     * player took it on this version, not on an older board.
+     * @param {string|null} viewerId - Viewing player (null for the full view)
+     * @returns {number} Last committed version of the viewer's view (0 before the first commit)
+     */
+    getViewVersion(viewerId) {
+        return this.committedStates[this.getViewKey(viewerId)]?.version ?? 0;
+    }
+
+    /**
+     * Commit a view of the current state as a new version if it changed since that view
+     * was last committed. Versions come from one counter shared by every view, so a patch
+     * can never be applied on top of another view's state.
+     * @param {string|null} viewerId - Player whose view to commit (null for the full view)
+     * @returns {Object|null} Patch { gameId, baseVersion, version, changes } from the
+     *   view's previous version, or null if nothing changed
+     */
+    commitState(viewerId = null) {
+        const viewKey = this.getViewKey(viewerId);
+        const previous = this.committedStates[viewKey] || null;
+
+        // Snapshot exactly what clients receive (Sets, references to the live board, ...)
+        const snapshot = JSON.parse(JSON.stringify(this.getState(viewerId)));
+        const changes = diffState(previous, snapshot);
+        // The turn clock ticks on its own: on its own it does not make a new version
+        const { turnTimeRemainingMs, ...otherChanges } = changes || {};
+        if (Object.keys(otherChanges).length === 0) return null;
+
+        this.stateVersion++;
+        snapshot.version = this.stateVersion;
+        this.committedStates[viewKey] = snapshot;
+        return { gameId: this.id, baseVersion: previous ? previous.version : 0, version: this.stateVersion, changes };
+    }
 }
 
 module.exports = Game;
@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Game Snapshot Storage
+ *
+ * Keeps snapshots of the games in progress (see Game.toJSON) so a restart or deploy does
+ * not end them: the server saves every active game periodically and on shutdown, and
+ * restores them at startup so their players can rejoin. Adapters share one interface:
+ * - saveGames(snapshots)  -> replace the saved games with these snapshots
+ * - loadGames()           -> saved snapshots (empty array if there are none)
+ */
+
+/**
+ * In-memory adapter - snapshots only live as long as the process (for tests and development)
+ */
+class MemoryGameSnapshotStore {
+    constructor() {
+        this.snapshots = [];
+    }
+
+    saveGames(snapshots) {
+        this.snapshots = snapshots;
+    }
+
+    loadGames() {
+        return this.snapshots;
+    }
+}
+
+/**
+ * JSON file adapter - all snapshots in one file. Writes are synchronous, so a snapshot
+ * taken in a shutdown handler is complete before the process exits, and go through a
+ * temporary file + rename so a crash mid-write keeps the previous snapshot intact.
+ */
+class FileGameSnapshotStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    saveGames(snapshots) {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ savedAt: Date.now(), games: snapshots }));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`Failed to write game snapshot file ${this.filePath}:`, error);
+        }
+    }
+
+    loadGames() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            console.log(`Loaded ${data.games.length} game snapshot(s) from ${this.filePath}`);
+            return data.games;
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                console.error(`Could not read game snapshot file ${this.filePath}, starting without saved games:`, error);
+            }
+            return [];
+        }
+    }
+}
+
+/**
+ * Create the game snapshot store selected by configuration
+ * @param {Object} options - { type: "memory" | "file", filePath }
+ * @returns {MemoryGameSnapshotStore|FileGameSnapshotStore} Game snapshot store instance
+ */
+function createGameSnapshotStore({ type = "file", filePath } = {}) {
+    switch (type) {
+        case "memory":
+            return new MemoryGameSnapshotStore();
+        case "file":
+            return new FileGameSnapshotStore(filePath || path.join(__dirname, "data", "games.json"));
+        default:
+            throw new Error(`Unknown game snapshot store type: ${type}`);
+    }
+}
+
+module.exports = { MemoryGameSnapshotStore, FileGameSnapshotStore, createGameSnapshotStore };
@@ -0,0 +1,139 @@
+/**
+ * Monster Mayhem Server Metrics
+ *
+ * In-process counters and a latency histogram for game actions and finished games,
+ * rendered in the Prometheus text exposition format for GET /metrics. Values that
+ * describe the current moment (connected sockets, games by status) are not stored
+ * here: the server passes them in when the metrics are rendered.
+ */
+
+const PREFIX = "monster_mayhem";
+
+// Action types are used as label values, anything else is counted as "unknown"
+const ACTION_TYPES = ["place_monster", "move_monster", "end_turn"];
+
+// Upper bounds of the action latency histogram, in seconds
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5];
+
+/**
+ * Format a line of the exposition format
+ * @param {string} name - Metric name
+ * @param {Object} labels - Label values
+ * @param {number} value - Sample value
+ * @returns {string} Sample line
+ */
+function sample(name, labels, value) {
+    const labelText = Object.entries(labels)
+        .map(([key, labelValue]) => `${key}="${labelValue}"`)
+        .join(",");
+    return labelText ? `${name}{${labelText}} ${value}` : `${name} ${value}`;
+}
+
+/**
+ * Format the HELP and TYPE header of a metric
+ * @param {string} name - Metric name
+ * @param {string} type - counter, gauge or histogram
+ * @param {string} help - Description
+ * @returns {Array} Header lines
+ */
+function header(name, type, help) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+class Metrics {
+    constructor() {
+        this.startedAt = Date.now();
+        this.actionsProcessed = {}; // action type -> count
+        this.actionsRejected = {}; // action type -> count
+        this.latencyBucketCounts = LATENCY_BUCKETS.map(() => 0);
+        this.latencyCount = 0;
+        this.latencySum = 0; // seconds
+        this.gamesFinished = 0;
+        this.gameRoundsSum = 0;
+    }
+
+    /**
+     * Record a handled game action
+     * @param {string} action - Action type from the client
+     * @param {boolean} success - False if the action was rejected
+     * @param {number} durationMs - Time spent handling the action
+     */
+    recordAction(action, success, durationMs) {
+        const type = ACTION_TYPES.includes(action) ? action : "unknown";
+        const counts = success ? this.actionsProcessed : this.actionsRejected;
+        counts[type] = (counts[type] || 0) + 1;
+
+        const seconds = durationMs / 1000;
+        LATENCY_BUCKETS.forEach((bound, index) => {
+            if (seconds <= bound) this.latencyBucketCounts[index]++;
+        });
+        this.latencyCount++;
+        this.latencySum += seconds;
+    }
+
+    /**
+     * Record a finished game
+     * @param {number} rounds - Number of rounds the game lasted
+     */
+    recordGameFinished(rounds) {
+        this.gamesFinished++;
+        this.gameRoundsSum += rounds;
+    }
+
+    /**
+     * Average length of finished games
+     * @returns {number} Rounds per game (0 before any game has finished)
+     */
+    getAverageGameRounds() {
+        return this.gamesFinished > 0 ? this.gameRoundsSum / this.gamesFinished : 0;
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @param {Object} snapshot - { connectedSockets, gamesByStatus: { status: count } }
+     * @returns {string} Exposition text
+     */
+    render({ connectedSockets, gamesByStatus }) {
+        const lines = [];
+
+        lines.push(...header(`${PREFIX}_uptime_seconds`, "gauge", "Seconds since the server started."));
+        lines.push(sample(`${PREFIX}_uptime_seconds`, {}, Math.floor((Date.now() - this.startedAt) / 1000)));
+
+        lines.push(...header(`${PREFIX}_connected_sockets`, "gauge", "Currently connected Socket.IO clients."));
+        lines.push(sample(`${PREFIX}_connected_sockets`, {}, connectedSockets));
+
+        lines.push(...header(`${PREFIX}_games`, "gauge", "Games currently held by the server, by status."));
+        Object.entries(gamesByStatus).forEach(([status, count]) => {
+            lines.push(sample(`${PREFIX}_games`, { status }, count));
+        });
+
+        lines.push(...header(`${PREFIX}_actions_processed_total`, "counter", "Game actions applied, by type."));
+        Object.entries(this.actionsProcessed).forEach(([action, count]) => {
+            lines.push(sample(`${PREFIX}_actions_processed_total`, { action }, count));
+        });
+
+        lines.push(...header(`${PREFIX}_actions_rejected_total`, "counter", "Game actions rejected, by type."));
+        Object.entries(this.actionsRejected).forEach(([action, count]) => {
+            lines.push(sample(`${PREFIX}_actions_rejected_total`, { action }, count));
+        });
+
+        const latency = `${PREFIX}_action_duration_seconds`;
+        lines.push(...header(latency, "histogram", "Time spent handling a game_action event."));
+        LATENCY_BUCKETS.forEach((bound, index) => {
+            lines.push(sample(`${latency}_bucket`, { le: bound }, this.latencyBucketCounts[index]));
+        });
+        lines.push(sample(`${latency}_bucket`, { le: "+Inf" }, this.latencyCount));
+        lines.push(sample(`${latency}_sum`, {}, this.latencySum));
+        lines.push(sample(`${latency}_count`, {}, this.latencyCount));
+
+        lines.push(...header(`${PREFIX}_games_finished_total`, "counter", "Started games that have finished."));
+        lines.push(sample(`${PREFIX}_games_finished_total`, {}, this.gamesFinished));
+
+        lines.push(...header(`${PREFIX}_game_rounds_average`, "gauge", "Average length of finished games in rounds."));
+        lines.push(sample(`${PREFIX}_game_rounds_average`, {}, this.getAverageGameRounds()));
+
+        return lines.join("\n") + "\n";
+    }
+}
+
+module.exports = Metrics;
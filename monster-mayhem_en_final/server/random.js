@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Monster Mayhem Seeded Randomness
+ *
+ * Every random decision in a game (the starting turn order, turn order tie-breaks, bot
+ * choices, monster IDs) is drawn from the game's own SeededRandom instead of Math.random, so a game
+ * is fully determined by its seed and the players' actions: a replay, a bug report or a
+ * tournament game can be played back exactly by creating the game with the same seed.
+ *
+ * The generator is mulberry32: a 32-bit state, fast and plenty for shuffling turn orders.
+ * It is not meant for anything security related.
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+class SeededRandom {
+    /**
+     * @param {number} seed - Unsigned 32-bit integer (a random one when omitted)
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next random number
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random whole number below a limit
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} items - Non-empty array
+     * @returns {*} Random element
+     */
+    pick(items) {
+        return items[this.nextInt(items.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates, every order equally likely)
+     * @param {Array} items - Array to shuffle
+     * @returns {Array} The same array
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Random UUID (version 4 layout) built from the sequence, for IDs that must come out
+     * the same when the game is played again
+     * @returns {string} UUID string
+     */
+    uuid() {
+        return uuidv4({ random: Uint8Array.from({ length: 16 }, () => this.nextInt(256)) });
+    }
+
+    /**
+     * Plain object for game snapshots: the seed and how far the sequence has advanced
+     * @returns {Object} { seed, state }
+     */
+    toJSON() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restore a generator from a snapshot so it continues the same sequence
+     * @param {Object} data - { seed, state } from toJSON
+     * @returns {SeededRandom} Generator at the saved position
+     */
+    static fromJSON({ seed, state }) {
+        const rng = new SeededRandom(seed);
+        rng.state = state >>> 0;
+        return rng;
+    }
+
+    /**
+     * Fresh seed for a game created without one
+     * @returns {number} Unsigned 32-bit integer
+     */
+    static generateSeed() {
+        return crypto.randomInt(MAX_SEED + 1);
+    }
+}
+
+SeededRandom.MAX_SEED = MAX_SEED;
+
+module.exports = SeededRandom;
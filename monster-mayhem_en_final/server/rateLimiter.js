@@ -0,0 +1,63 @@
+/**
+ * Monster Mayhem Rate Limiting
+ *
+ * Token buckets: a bucket holds up to `capacity` tokens and regains `refillPerSecond`
+ * tokens per second, and every event takes one token. Short bursts are fine, a steady
+ * flood is not. Each socket gets one bucket per event type plus a strike bucket that is
+ * drained by every event the limits reject; a socket that empties it keeps ignoring the
+ * limits and should be disconnected.
+ */
+
+class TokenBucket {
+    /**
+     * @param {Object} rate - { capacity, refillPerSecond }
+     */
+    constructor({ capacity, refillPerSecond }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.refilledAt = Date.now();
+    }
+
+    /**
+     * Take one token if there is one
+     * @returns {boolean} True if a token was available
+     */
+    tryRemove() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) / 1000 * this.refillPerSecond);
+        this.refilledAt = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+class SocketRateLimiter {
+    /**
+     * @param {Object} strikeRate - { capacity, refillPerSecond } of the strike bucket:
+     *   rejected events a socket may pile up before it counts as abusive
+     */
+    constructor(strikeRate) {
+        this.buckets = new Map(); // event -> TokenBucket
+        this.strikes = new TokenBucket(strikeRate);
+    }
+
+    /**
+     * Count an inbound event against its bucket
+     * @param {string} event - Bucket key (the event name)
+     * @param {Object} rate - { capacity, refillPerSecond } for the event's bucket
+     * @returns {string} "ok", "limited" (reject this event) or "abusive" (disconnect the socket)
+     */
+    consume(event, rate) {
+        if (!this.buckets.has(event)) {
+            this.buckets.set(event, new TokenBucket(rate));
+        }
+        if (this.buckets.get(event).tryRemove()) return "ok";
+
+        return this.strikes.tryRemove() ? "limited" : "abusive";
+    }
+}
+
+module.exports = { TokenBucket, SocketRateLimiter };
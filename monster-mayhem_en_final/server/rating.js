@@ -0,0 +1,53 @@
+/**
+ * Monster Mayhem Player Rating
+ *
+ * Multiplayer Elo: a game of N players is scored as every pair of players having played
+ * a head-to-head match, decided by who finished higher (same place = draw). Each player's
+ * pairwise gains are averaged over their N - 1 opponents, so a game moves a rating about
+ * as much as a single two-player Elo game would, whatever the number of players.
+ */
+
+const INITIAL_RATING = 1200;
+const K_FACTOR = 32;
+
+/**
+ * Expected score of player A against player B
+ * @param {number} ratingA - Rating of player A
+ * @param {number} ratingB - Rating of player B
+ * @returns {number} Expected score between 0 and 1
+ */
+function expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Compute new ratings from a game's finishing order
+ * @param {Array} standings - [{ playerId, rank }] where rank 1 is best and equal ranks tie
+ * @param {Function} getRating - Returns the current rating of a player ID
+ * @returns {Object} { playerId: { before, after, delta } } (empty with fewer than 2 players)
+ */
+function computeRatingChanges(standings, getRating) {
+    const changes = {};
+    if (standings.length < 2) return changes;
+
+    const ratings = {};
+    standings.forEach(({ playerId }) => { ratings[playerId] = getRating(playerId); });
+
+    standings.forEach(player => {
+        let scoreDifference = 0;
+        standings.forEach(opponent => {
+            if (opponent.playerId === player.playerId) return;
+
+            const actual = player.rank < opponent.rank ? 1 : player.rank > opponent.rank ? 0 : 0.5;
+            scoreDifference += actual - expectedScore(ratings[player.playerId], ratings[opponent.playerId]);
+        });
+
+        const before = ratings[player.playerId];
+        const delta = Math.round(K_FACTOR * scoreDifference / (standings.length - 1));
+        changes[player.playerId] = { before, after: before + delta, delta };
+    });
+
+    return changes;
+}
+
+module.exports = { INITIAL_RATING, K_FACTOR, expectedScore, computeRatingChanges };
@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Match Replay Storage
+ *
+ * Keeps the event logs of finished games (see Game.getReplay) so they can be
+ * reviewed after the game has been cleaned up. Replays of private games are only
+ * listed to and viewable by the players who took part. Adapters share one interface:
+ * - saveReplay(replay)     -> store a finished game's replay
+ * - getReplay(gameId)      -> Promise of the replay or null
+ * - listReplays(limit)     -> newest first summaries of public games { gameId, finishedAt, winner, rounds, players }
+ * - close()                -> Promise that settles once pending writes are done (call on shutdown)
+ */
+
+/**
+ * Players who took part in a replayed game
+ * @param {Object} replay - Replay data
+ * @returns {Array} Player IDs in starting turn order
+ */
+function getReplayPlayers(replay) {
+    return replay.events.find(e => e.type === "game_started")?.playerOrder || [];
+}
+
+/**
+ * Check if a player may watch a replay: anyone for public games, only the
+ * participants for private ones
+ * @param {Object} replay - Replay data
+ * @param {string} playerId - Requesting player
+ * @returns {boolean} True if the replay may be sent to the player
+ */
+function canViewReplay(replay, playerId) {
+    return !replay.isPrivate || getReplayPlayers(replay).includes(playerId);
+}
+
+/**
+ * Build the lobby summary of a replay
+ * @param {Object} replay - Replay data
+ * @returns {Object} Replay summary
+ */
+function summarize(replay) {
+    return {
+        gameId: replay.gameId,
+        finishedAt: replay.finishedAt,
+        winner: replay.winner,
+        rounds: replay.rounds,
+        players: getReplayPlayers(replay)
+    };
+}
+
+/**
+ * In-memory adapter - keeps only the most recent replays
+ */
+class MemoryReplayStore {
+    constructor(maxReplays = 50) {
+        this.maxReplays = maxReplays;
+        this.replays = new Map(); // gameId -> replay, in insertion order
+    }
+
+    saveReplay(replay) {
+        this.replays.set(replay.gameId, replay);
+        while (this.replays.size > this.maxReplays) {
+            this.replays.delete(this.replays.keys().next().value);
+        }
+    }
+
+    async getReplay(gameId) {
+        return this.replays.get(gameId) || null;
+    }
+
+    listReplays(limit = 20) {
+        return [...this.replays.values()]
+            .filter(replay => !replay.isPrivate)
+            .reverse()
+            .slice(0, limit)
+            .map(summarize);
+    }
+
+    async close() {}
+}
+
+/**
+ * File adapter - one JSON file per game in a replay directory. The summaries are kept
+ * in an in-memory index, read from the directory once at startup, so listing replays
+ * never touches the disk.
+ */
+class FileReplayStore {
+    constructor(dirPath) {
+        this.dirPath = dirPath;
+        this.index = new Map(); // gameId -> { summary, isPrivate }
+        this.pendingWrites = new Set(); // Replay writes still in progress
+        fs.mkdirSync(dirPath, { recursive: true });
+        this.loadIndex().catch(error => console.error(`Failed to index replays in ${dirPath}:`, error));
+    }
+
+    /**
+     * Build the summary index from the replay files already on disk
+     */
+    async loadIndex() {
+        const files = (await fs.promises.readdir(this.dirPath)).filter(file => file.endsWith(".json"));
+        for (const file of files) {
+            const replay = await this.getReplay(path.basename(file, ".json"));
+            if (replay && !this.index.has(replay.gameId)) {
+                this.indexReplay(replay);
+            }
+        }
+        console.log(`Indexed ${this.index.size} replay(s) in ${this.dirPath}`);
+    }
+
+    /**
+     * Add a replay to the summary index
+     * @param {Object} replay - Replay data
+     */
+    indexReplay(replay) {
+        this.index.set(replay.gameId, { summary: summarize(replay), isPrivate: !!replay.isPrivate });
+    }
+
+    /**
+     * Resolve the file of a game, rejecting IDs that could escape the directory
+     * @param {string} gameId - Game ID
+     * @returns {string|null} File path or null for an invalid ID
+     */
+    filePath(gameId) {
+        if (typeof gameId !== "string" || !/^[\w-]+$/.test(gameId)) return null;
+        return path.join(this.dirPath, `${gameId}.json`);
+    }
+
+    saveReplay(replay) {
+        const filePath = this.filePath(replay.gameId);
+        if (!filePath) return;
+
+        this.indexReplay(replay);
+        const write = fs.promises.writeFile(filePath, JSON.stringify(replay))
+            .catch(error => console.error(`Failed to save replay ${replay.gameId}:`, error))
+            .finally(() => this.pendingWrites.delete(write));
+        this.pendingWrites.add(write);
+    }
+
+    async getReplay(gameId) {
+        const filePath = this.filePath(gameId);
+        if (!filePath) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                console.error(`Failed to read replay ${gameId}:`, error);
+            }
+            return null;
+        }
+    }
+
+    listReplays(limit = 20) {
+        return [...this.index.values()]
+            .filter(entry => !entry.isPrivate)
+            .map(entry => entry.summary)
+            .sort((a, b) => b.finishedAt - a.finishedAt)
+            .slice(0, limit);
+    }
+
+    async close() {
+        await Promise.all(this.pendingWrites);
+    }
+}
+
+/**
+ * Create the replay store selected by configuration
+ * @param {Object} options - { type: "memory" | "file", dirPath }
+ * @returns {MemoryReplayStore|FileReplayStore} Replay store instance
+ */
+function createReplayStore({ type = "file", dirPath } = {}) {
+    switch (type) {
+        case "memory":
+            return new MemoryReplayStore();
+        case "file":
+            return new FileReplayStore(dirPath || path.join(__dirname, "data", "replays"));
+        default:
+            throw new Error(`Unknown replay store type: ${type}`);
+    }
+}
+
+module.exports = { MemoryReplayStore, FileReplayStore, createReplayStore, canViewReplay };
@@ -0,0 +1,114 @@
+/**
+ * Monster Mayhem Rule Set
+ *
+ * Data-driven game configuration passed to `new Game(...)` and sent to clients inside
+ * the game state, so the server and the browser validate and render from the same numbers.
+ * Hosts can pick a variant (board size, elimination count, diagonal range, player cap,
+ * fog of war) when they create a game; anything not given falls back to the classic rules.
+ */
+
+const { isInBounds, isOnEdge } = require("../shared/rules");
+
+const EDGES = ["top", "bottom", "left", "right"];
+
+const DEFAULT_RULES = {
+    boardSize: 10,              // Board is boardSize x boardSize
+    maxPlayers: 4,              // One edge per player
+    eliminationThreshold: 10,   // Monsters lost before a player is eliminated
+    diagonalRange: 2,           // Max squares a monster may move diagonally
+    fogOfWar: false,            // Players only see squares near their edge and monsters
+    visionRadius: 2,            // How far (in squares, diagonals included) players see with fog of war
+    edges: EDGES,               // Edges handed out to players, in joining order
+    turnTimeLimitMs: null,      // Per-turn clock (null = untimed)
+    timeBankMs: null,           // Chess-style total time bank per player (null = none)
+    maxConsecutiveTimeouts: 3   // Timeouts in a row before a player forfeits
+};
+
+// Allowed ranges for the options a host may choose
+const HOST_OPTION_LIMITS = {
+    boardSize: { min: 5, max: 20 },
+    maxPlayers: { min: 2, max: EDGES.length },
+    eliminationThreshold: { min: 1, max: 50 },
+    diagonalRange: { min: 1, max: 19 },
+    visionRadius: { min: 1, max: 19 }
+};
+
+class RuleSet {
+    /**
+     * @param {Object} options - Overrides for DEFAULT_RULES (assumed valid, see RuleSet.fromHostOptions)
+     */
+    constructor(options = {}) {
+        Object.assign(this, DEFAULT_RULES, options);
+        this.edges = this.edges.slice(0, this.maxPlayers);
+        Object.freeze(this);
+    }
+
+    /**
+     * Check that coordinates are on the board
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if inside the board
+     */
+    isInBounds(x, y) {
+        return isInBounds(this, x, y);
+    }
+
+    /**
+     * Check if a square lies on a given edge
+     * @param {string} edge - top, bottom, left or right
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the square is on that edge
+     */
+    isOnEdge(edge, x, y) {
+        return isOnEdge(this, edge, x, y);
+    }
+
+    /**
+     * Plain object sent to clients in the game state
+     * @returns {Object} Serializable rules
+     */
+    toJSON() {
+        return { ...this, edges: [...this.edges] };
+    }
+
+    /**
+     * Build a rule set from options chosen by the host when creating a game
+     * @param {Object} hostOptions - { boardSize, maxPlayers, eliminationThreshold, diagonalRange, fogOfWar, visionRadius }
+     * @param {Object} serverDefaults - Server-wide settings such as the turn clock
+     * @returns {Object} { success: true, ruleSet } or { success: false, message }
+     */
+    static fromHostOptions(hostOptions = {}, serverDefaults = {}) {
+        const options = { ...serverDefaults };
+
+        for (const [key, limits] of Object.entries(HOST_OPTION_LIMITS)) {
+            const value = hostOptions?.[key];
+            if (value === undefined || value === null) continue;
+
+            if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+                return { success: false, message: `Invalid ${key}: must be a whole number from ${limits.min} to ${limits.max}.` };
+            }
+            options[key] = value;
+        }
+
+        const fogOfWar = hostOptions?.fogOfWar;
+        if (fogOfWar !== undefined && fogOfWar !== null) {
+            if (typeof fogOfWar !== "boolean") {
+                return { success: false, message: "Invalid fogOfWar: must be true or false." };
+            }
+            options.fogOfWar = fogOfWar;
+        }
+
+        const boardSize = options.boardSize ?? DEFAULT_RULES.boardSize;
+        if ((options.diagonalRange ?? DEFAULT_RULES.diagonalRange) >= boardSize) {
+            return { success: false, message: "Diagonal range must be smaller than the board size." };
+        }
+
+        return { success: true, ruleSet: new RuleSet(options) };
+    }
+}
+
+RuleSet.DEFAULT_RULES = DEFAULT_RULES;
+RuleSet.HOST_OPTION_LIMITS = HOST_OPTION_LIMITS;
+
+module.exports = RuleSet;
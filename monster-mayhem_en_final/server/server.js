@@ -7,23 +7,101 @@
  * Key Features:
  * - Real-time multiplayer communication via WebSockets
  * - Multiple concurrent games support
- * - Player statistics tracking
+ * - Player statistics tracking with pluggable persistent storage
+ * - Match recording and replays of finished games
+ * - Snapshots of games in progress, restored after a restart so players can rejoin them
+ * - Read-only spectators for games in progress
+ * - Server-side AI bots that fill empty seats
+ * - Turn clock that ends idle turns automatically and forfeits repeat offenders
+ * - Activity monitor that warns idle players, lets opponents vote to skip or kick them,
+ *   forfeits players idle for too long and closes abandoned waiting games
+ * - Token-protected admin REST API (/admin/api) for operators
+ * - Health check (/healthz) and Prometheus metrics (/metrics) for load balancers and alerting
  * - Robust error handling and concurrency control
- * - Game state synchronization across all clients
+ * - Declared schemas and per-socket token-bucket rate limits for every inbound event
+ * - Game state synchronization across all clients, as versioned patches with full snapshots on request
  * 
  * Concurrency Considerations:
  * - Uses Socket.IO's built-in event serialization for basic concurrency
- * - Implements action locks in Game class to prevent race conditions
+ * - Runs each game's turn actions (players, bots, turn timeouts) through a per-game command queue
+ * - Rejects actions taken on an older state version than the player was last sent, with a resync
  * - Validates game state before processing actions
- * - Handles player disconnections gracefully
+ * - Handles player disconnections gracefully, holding seats for a reconnect grace period
+ * - Stable player identities via signed session tokens, decoupled from socket.id
  */
 
+require("dotenv").config();
+
 const express = require("express");
 const http = require("http");
 const socketIo = require("socket.io");
 const path = require("path");
+const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
 const Game = require("./game");
+const Bot = require("./bot");
+const RuleSet = require("./ruleSet");
+const { createSessionToken, verifySessionToken } = require("./session");
+const { createStatsStore } = require("./statsStore");
+const { createReplayStore, canViewReplay } = require("./replayStore");
+const { createGameSnapshotStore } = require("./gameSnapshotStore");
+const { ChatHistory, LOBBY_CHANNEL } = require("./chat");
+const { computeRatingChanges } = require("./rating");
+const { createAdminRouter } = require("./admin");
+const Metrics = require("./metrics");
+const CommandQueue = require("./commandQueue");
+const SeededRandom = require("./random");
+const { EVENT_SCHEMAS, UNKNOWN_EVENT_RATE, validateEvent } = require("./eventSchemas");
+const { SocketRateLimiter } = require("./rateLimiter");
+const ActivityMonitor = require("./activityMonitor");
+
+const PORT = process.env.PORT || 3000;
+// How long a disconnected player's seat in an active game is held before they are removed
+const RECONNECT_GRACE_PERIOD_MS = parseInt(process.env.RECONNECT_GRACE_PERIOD_MS, 10) || 60000;
+// Pause between consecutive bot actions so humans can follow what the bot does
+const BOT_ACTION_DELAY_MS = parseInt(process.env.BOT_ACTION_DELAY_MS, 10) || 700;
+// How often active games are saved, so a crash loses at most this much play
+const GAME_SNAPSHOT_INTERVAL_MS = parseInt(process.env.GAME_SNAPSHOT_INTERVAL_MS, 10) || 30000;
+// How long a graceful shutdown may take before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+// Whether hosts may choose the seed of a new game (to reproduce a game); off by default, as
+// a host could otherwise try seeds until one gives them a favourable turn order
+const ALLOW_CUSTOM_SEEDS = process.env.ALLOW_CUSTOM_SEEDS === "true";
+// Invite codes avoid look-alike characters (0/O, 1/I/L) so they can be read out loud
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
+// Chat limits: message length, scrollback kept per channel and messages allowed per socket per window
+const CHAT_OPTIONS = {
+    maxMessageLength: parseInt(process.env.CHAT_MAX_LENGTH, 10) || 300,
+    scrollbackSize: parseInt(process.env.CHAT_SCROLLBACK, 10) || 50,
+    rateLimit: parseInt(process.env.CHAT_RATE_LIMIT, 10) || 5,
+    rateWindowMs: parseInt(process.env.CHAT_RATE_WINDOW_MS, 10) || 10000
+};
+// Entries shown on the lobby leaderboard (the REST route accepts ?limit= up to LEADERBOARD_MAX)
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_MAX = 100;
+// Bearer token for the admin API (the API is disabled when it is not set)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const ANNOUNCEMENT_MAX_LENGTH = 500;
+// How many recent game action request IDs are remembered per player
+const RECENT_ACTIONS_KEPT = 50;
+
+// Idle players and abandoned waiting games
+const IDLE_WARNING_MS = parseInt(process.env.IDLE_WARNING_MS, 10) || 60000;
+const IDLE_FORFEIT_MS = parseInt(process.env.IDLE_FORFEIT_MS, 10) || 180000;
+const STALE_GAME_MS = parseInt(process.env.STALE_GAME_MS, 10) || 1800000;
+const ACTIVITY_CHECK_INTERVAL_MS = 5000;
+// Rate-limited events a socket may pile up (recovering one per second) before it is disconnected
+const RATE_LIMIT_STRIKES = {
+    capacity: parseInt(process.env.RATE_LIMIT_STRIKES, 10) || 20,
+    refillPerSecond: 1
+};
+// Turn clock for new games (0 disables the per-turn limit / the time bank)
+const TURN_CLOCK_OPTIONS = {
+    turnTimeLimitMs: parseInt(process.env.TURN_TIME_LIMIT_MS ?? "90000", 10) || null,
+    timeBankMs: parseInt(process.env.TIME_BANK_MS ?? "0", 10) || null,
+    maxConsecutiveTimeouts: parseInt(process.env.MAX_TURN_TIMEOUTS, 10) || 3
+};
 
 const app = express();
 const server = http.createServer(app);
@@ -38,11 +116,11 @@ const io = socketIo(server, {
     pingInterval: 25000
 });
 
-const PORT = process.env.PORT || 3000;
-
 // Serve static files from the client directory
 const clientPath = path.join(__dirname, "../client");
 app.use(express.static(clientPath));
+// Serve the rules engine shared with the server (validation runs from the same file on both sides)
+app.use("/shared", express.static(path.join(__dirname, "../shared")));
 
 // Main route
 app.get("/", (req, res) => {
@@ -59,57 +137,218 @@ app.get("/", (req, res) => {
     });
 });
 
+// Leaderboard of rated players, best rating first
+app.get("/api/leaderboard", (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || LEADERBOARD_SIZE, LEADERBOARD_MAX);
+        res.json(statsStore.getLeaderboard(limit));
+    } catch (error) {
+        console.error("Error serving leaderboard:", error);
+        res.status(500).json({ error: "Failed to load leaderboard." });
+    }
+});
+
+// Liveness check for load balancers
+app.get("/healthz", (req, res) => {
+    res.json({
+        status: "ok",
+        uptimeSeconds: Math.floor(process.uptime()),
+        connectedSockets: io.sockets.sockets.size,
+        games: countGamesByStatus()
+    });
+});
+
+// Prometheus scrape endpoint
+app.get("/metrics", (req, res) => {
+    try {
+        res.type("text/plain; version=0.0.4").send(metrics.render({
+            connectedSockets: io.sockets.sockets.size,
+            gamesByStatus: countGamesByStatus()
+        }));
+    } catch (error) {
+        console.error("Error rendering metrics:", error);
+        res.status(500).send("Failed to render metrics.");
+    }
+});
+
 // 
 // GAME STATE MANAGEMENT
 // 
 
 let games = {}; // { gameId: Game object }
-let players = {}; // { socketId: { id, gameId, wins, losses, lastActivity } }
+let players = {}; // { playerId: { id, socketId, gameId, spectatingGameId, lastActivity, lastTurnActionAt, disconnectedAt, recentActions } }
+let reconnectTimers = {}; // { playerId: Timeout } - pending seat releases for disconnected players
+let bots = {}; // { botPlayerId: Bot }
+let botTimers = {}; // { gameId: Timeout } - next scheduled bot action per game
+let turnTimers = {}; // { gameId: Timeout } - expiry of the current turn per game
+let gameQueues = {}; // { gameId: CommandQueue } - turn actions of each game, run one at a time
+let shuttingDown = false; // Set on SIGTERM/SIGINT: games no longer change so the final snapshot is exact
+const metrics = new Metrics(); // Action and game counters served at /metrics
+const activityMonitor = new ActivityMonitor({
+    idleWarningMs: IDLE_WARNING_MS,
+    idleForfeitMs: IDLE_FORFEIT_MS,
+    staleGameMs: STALE_GAME_MS
+});
+// Persistent wins/losses and global stats (STATS_STORE=file|memory, STATS_FILE=path)
+const statsStore = createStatsStore({
+    type: process.env.STATS_STORE || "file",
+    filePath: process.env.STATS_FILE
+});
+
+// Event logs of finished games (REPLAY_STORE=file|memory, REPLAY_DIR=path)
+const chatHistory = new ChatHistory(CHAT_OPTIONS);
+
+const replayStore = createReplayStore({
+    type: process.env.REPLAY_STORE || "file",
+    dirPath: process.env.REPLAY_DIR
+});
+
+// Active games saved across restarts (GAME_SNAPSHOT_STORE=file|memory, GAME_SNAPSHOT_FILE=path)
+const gameSnapshotStore = createGameSnapshotStore({
+    type: process.env.GAME_SNAPSHOT_STORE || "file",
+    filePath: process.env.GAME_SNAPSHOT_FILE
+});
+
 let globalGameStats = {
-    totalGamesPlayed: 0,
+    totalGamesPlayed: statsStore.getGlobalStats().totalGamesPlayed,
     totalPlayersConnected: 0
 };
 
-// Concurrency control for critical operations
-let statsLock = false;
+// Global statistics updates run one at a time, in the order they were requested
+const statsQueue = new CommandQueue();
 
 /**
- * Safely update global statistics with concurrency control
+ * Queue an update of the global statistics
  * @param {Function} updateFunction - Function to perform the update
  */
-function safeStatsUpdate(updateFunction) {
-    if (statsLock) {
-        console.warn("Stats update skipped due to concurrent access");
-        return;
-    }
-    statsLock = true;
-    try {
-        updateFunction();
-    } finally {
-        statsLock = false;
+function queueStatsUpdate(updateFunction) {
+    statsQueue.enqueue(updateFunction).catch(error => {
+        console.error("Error updating global stats:", error);
+    });
+}
+
+/**
+ * Queue a command that changes a game's state. Commands of the same game run one
+ * after another; a command whose game has been removed in the meantime is skipped.
+ * @param {Game} game - Game the command acts on
+ * @param {Function} command - Function to run (may return a promise)
+ * @returns {Promise} Settles once the command has run
+ */
+function queueGameCommand(game, command) {
+    if (shuttingDown) return Promise.resolve(); // Games are frozen for the final snapshot
+    if (!gameQueues[game.id]) {
+        gameQueues[game.id] = new CommandQueue();
     }
+    return gameQueues[game.id].enqueue(() => {
+        if (games[game.id] !== game) return;
+        return command();
+    }).catch(error => {
+        console.error(`Error running command in game ${game.id}:`, error);
+    });
 }
 
 /**
- * Broadcast the list of available games to players in lobby
+ * Count the games held by the server per status
+ * @returns {Object} { waiting, active, finished }
  */
-function broadcastGameList() {
-    const availableGames = Object.values(games)
-        .filter(game => game.status === "waiting" && game.playerOrder.length < 4)
+function countGamesByStatus() {
+    const counts = { waiting: 0, active: 0, finished: 0 };
+    Object.values(games).forEach(game => {
+        counts[game.status] = (counts[game.status] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Build the lobby game list: joinable waiting games and watchable active games
+ * @returns {Array} Game summaries for the lobby
+ */
+function getLobbyGameList() {
+    return Object.values(games)
+        .filter(game => !game.isPrivate)
+        .filter(game => (game.status === "waiting" && game.playerOrder.length < game.rules.maxPlayers)
+            || (game.status === "active" && !game.rules.fogOfWar)) // Fog-of-war games cannot be watched
         .map(game => ({ 
             id: game.id, 
+            status: game.status,
             playerCount: game.playerOrder.length,
-            maxPlayers: 4
+            maxPlayers: game.rules.maxPlayers,
+            boardSize: game.rules.boardSize,
+            fogOfWar: game.rules.fogOfWar
         }));
+}
+
+/**
+ * Broadcast the list of available games to players in lobby
+ */
+function broadcastGameList() {
+    const availableGames = getLobbyGameList();
+
+    // Only send to connected players not currently in a game or watching one
+    Object.values(players).forEach(playerInfo => {
+        if (playerInfo.socketId && !playerInfo.gameId && !playerInfo.spectatingGameId) {
+            io.to(playerInfo.socketId).emit("available_games", availableGames);
+        }
+    });
+}
+
+/**
+ * Get the sockets currently in a game's room (players and spectators)
+ * @param {string} gameId - Game ID
+ * @returns {Array} Connected sockets
+ */
+function getRoomSockets(gameId) {
+    return [...(io.sockets.adapter.rooms.get(gameId) || [])]
+        .map(socketId => io.sockets.sockets.get(socketId))
+        .filter(Boolean);
+}
+
+/**
+ * Send what changed in a game since the last broadcast to everyone in its room, together
+ * with the domain events that caused it (monster_placed, combat_resolved, turn_changed, ...).
+ * Clients whose copy is not at the patch's base version ask for a full snapshot
+ * with request_game_state.
+ * @param {Game} game - Game whose state changed
+ */
+function broadcastGameState(game) {
+    const events = game.takeEvents();
+
+    if (!game.rules.fogOfWar) {
+        const patch = game.commitState();
+        if (patch) {
+            io.to(game.id).emit("game_patch", { ...patch, events });
+        }
+        return;
+    }
 
-    // Only send to players not currently in a game
-    Object.keys(players).forEach(socketId => {
-        if (players[socketId] && !players[socketId].gameId) {
-            io.to(socketId).emit("available_games", availableGames);
+    // Fog of war: each socket gets the patch of its own view (views are shared by
+    // spectators and players who see the whole board)
+    const patches = new Map(); // view key -> patch or null
+    getRoomSockets(game.id).forEach(socket => {
+        const viewerId = socket.data.playerId;
+        const viewKey = game.getViewKey(viewerId);
+        if (!patches.has(viewKey)) {
+            patches.set(viewKey, game.commitState(viewerId));
+        }
+        const patch = patches.get(viewKey);
+        if (patch) {
+            socket.emit("game_patch", { ...patch, events: game.getEventsFor(events, viewerId) });
         }
     });
 }
 
+/**
+ * Send a full snapshot of a game to one socket, as seen by that socket's player
+ * @param {Socket} socket - Receiving socket
+ * @param {string} event - game_joined, game_started, spectate_joined or game_update
+ * @param {Game} game - Game to send
+ */
+function sendGameState(socket, event, game) {
+    const viewerId = socket.data.playerId;
+    game.commitState(viewerId); // The snapshot becomes the base of the next patch
+    socket.emit(event, game.getState(viewerId));
+}
+
 /**
  * Handle game completion and update statistics
  * @param {Game} game - The completed game
@@ -121,307 +360,1429 @@ function handleGameOver(game) {
     if (game.processedGameOver) return;
     game.processedGameOver = true;
 
+    clearGameTimers(game.id);
+    if (game.startedAt) {
+        metrics.recordGameFinished(game.round);
+    }
+
     // Update global statistics safely
-    safeStatsUpdate(() => {
-        globalGameStats.totalGamesPlayed++;
+    queueStatsUpdate(() => {
+        globalGameStats.totalGamesPlayed = statsStore.incrementGamesPlayed();
         console.log(`Global games played updated to: ${globalGameStats.totalGamesPlayed}`);
     });
 
     const winnerId = game.winner;
     const playerIdsInGame = Object.keys(game.players);
 
+    // Update ratings from the finishing order before the stats are sent out
+    const ratingChanges = game.startedAt ? updateRatings(game) : {};
+
     // Update individual player statistics
     playerIdsInGame.forEach(playerId => {
-        const playerSocketEntry = Object.entries(players).find(([socketId, pData]) => pData.id === playerId);
+        if (game.players[playerId].isBot) return; // Bots have no statistics
 
-        if (playerSocketEntry) {
-            const [socketId, playerSocketData] = playerSocketEntry;
-            
-            // Update win/loss statistics
-            if (playerId === winnerId) {
-                playerSocketData.wins++;
-                console.log(`Player ${playerId} wins updated to: ${playerSocketData.wins}`);
-            } else {
-                playerSocketData.losses++;
-                console.log(`Player ${playerId} losses updated to: ${playerSocketData.losses}`);
-            }
-            
-            // Send updated stats to the specific player
+        // Update win/loss statistics
+        const playerStats = statsStore.recordResult(playerId, playerId === winnerId);
+        console.log(`Player ${playerId} stats updated to: ${playerStats.wins} wins, ${playerStats.losses} losses`);
+
+        // Send updated stats to the specific player if connected
+        const socketId = players[playerId]?.socketId;
+        if (socketId) {
             io.to(socketId).emit("stats_update", {
                 globalStats: globalGameStats,
-                playerStats: { wins: playerSocketData.wins, losses: playerSocketData.losses }
+                playerStats
             });
-        } else {
-            console.log(`Could not find active socket for player ${playerId} to update stats.`);
         }
     });
 
+    // Store the match record so it can be replayed after the game is cleaned up
+    if (game.startedAt) {
+        replayStore.saveReplay(game.getReplay());
+    }
+
     // Broadcast updated global stats to all connected players
     io.emit("global_stats_update", globalGameStats);
     console.log("Broadcasting updated global stats to all clients.");
 
+    if (Object.keys(ratingChanges).length > 0) {
+        io.emit("leaderboard", statsStore.getLeaderboard(LEADERBOARD_SIZE));
+    }
+
     // Notify players in the game about the game over state
     io.to(game.id).emit("game_over", {
         message: winnerId ? `Player ${winnerId.substring(0,4)} won!` : "Game ended (Draw/Aborted).",
         winnerId: winnerId,
-        finalState: game.getState()
+        finalState: game.getState(),
+        replayId: game.startedAt ? game.id : null,
+        standings: game.getStandings(),
+        ratingChanges
     });
 
     // Clean up game after a delay to allow players to see results
     setTimeout(() => {
         // Remove players' gameId reference
         playerIdsInGame.forEach(playerId => {
-            const playerSocketEntry = Object.entries(players).find(([socketId, pData]) => pData.id === playerId);
-            if (playerSocketEntry && playerSocketEntry[1].gameId === game.id) {
-                playerSocketEntry[1].gameId = null;
+            if (players[playerId]?.gameId === game.id) {
+                players[playerId].gameId = null;
+            }
+        });
+
+        // Forget the game's bots
+        playerIdsInGame.forEach(playerId => delete bots[playerId]);
+
+        // Release spectators of this game
+        Object.values(players).forEach(playerInfo => {
+            if (playerInfo.spectatingGameId === game.id) {
+                stopSpectating(playerInfo.id);
             }
         });
         
         delete games[game.id];
+        delete gameQueues[game.id];
+        activityMonitor.forget(game.id);
+        chatHistory.deleteChannel(game.id);
         console.log(`Game ${game.id} removed after finishing.`);
         broadcastGameList(); // Update lobby list
     }, 10000); // 10 second delay
 }
 
 /**
- * Validate that a player can perform an action in a game
- * @param {string} socketId - Player's socket ID
- * @param {string} gameId - Game ID
- * @returns {Object} Validation result with game and player info
+ * Rate the human players of a finished game by their finishing order (bots are not rated)
+ * @param {Game} game - Finished game
+ * @returns {Object} { playerId: { before, after, delta } }
  */
-function validatePlayerAction(socketId, gameId) {
-    const playerInfo = players[socketId];
-    if (!playerInfo) {
-        return { valid: false, message: "Player not found." };
-    }
+function updateRatings(game) {
+    const standings = game.getStandings().filter(entry => !entry.isBot);
+    const changes = computeRatingChanges(standings, playerId => statsStore.getPlayerStats(playerId).rating);
+
+    Object.entries(changes).forEach(([playerId, change]) => {
+        const playerStats = statsStore.updateRating(playerId, change.after);
+        console.log(`Player ${playerId} rating ${change.before} -> ${change.after}`);
+
+        // Players who left before the end are no longer in the game room
+        const socketId = players[playerId]?.socketId;
+        if (socketId && !game.players[playerId]) {
+            io.to(socketId).emit("stats_update", { globalStats: globalGameStats, playerStats });
+        }
+    });
+    return changes;
+}
 
-    if (playerInfo.gameId !== gameId) {
-        return { valid: false, message: "You are not in this game." };
-    }
+/**
+ * Count players with a live connection (excludes seats held during the grace period)
+ * @returns {number} Number of connected players
+ */
+function countConnectedPlayers() {
+    return Object.values(players).filter(p => p.socketId).length;
+}
+
+/**
+ * Remove a player from their current game and notify the remaining players. The player
+ * is back in the lobby right away; the game itself changes through its command queue.
+ * @param {string} playerId - Stable player ID
+ */
+function removePlayerFromGame(playerId) {
+    const playerInfo = players[playerId];
+    const gameId = playerInfo?.gameId;
+    if (!gameId || !games[gameId]) return;
 
     const game = games[gameId];
-    if (!game) {
-        return { valid: false, message: "Game not found." };
-    }
+    playerInfo.gameId = null;
+    const playerSocket = playerInfo.socketId && io.sockets.sockets.get(playerInfo.socketId);
+    if (playerSocket) playerSocket.leave(gameId);
 
-    if (game.status !== "active") {
-        return { valid: false, message: "Game is not active." };
-    }
+    queueGameCommand(game, () => {
+        const wasActive = game.status === "active";
 
-    return { valid: true, game, playerInfo };
+        game.removePlayer(playerId);
+        console.log(`Player ${playerId} removed from game ${gameId}.`);
+
+        // Bots do not keep playing once every human has left
+        if (game.hasOnlyBots()) {
+            if (game.status === "active") {
+                game.endGame(null);
+            } else {
+                [...game.playerOrder].forEach(botId => {
+                    game.removePlayer(botId);
+                    delete bots[botId];
+                });
+            }
+        }
+
+        if (game.playerOrder.length === 0) {
+            console.log(`Game ${gameId} is empty, deleting.`);
+            clearGameTimers(gameId);
+            delete games[gameId];
+            delete gameQueues[gameId];
+            activityMonitor.forget(gameId);
+            chatHistory.deleteChannel(gameId);
+        } else {
+            broadcastGameState(game);
+            if (game.status === "finished" && wasActive) {
+                console.log(`Game ${gameId} ended due to player leaving.`);
+                handleGameOver(game);
+            } else {
+                scheduleGameTimers(game);
+            }
+        }
+        broadcastGameList();
+    });
 }
 
-// 
-// SOCKET.IO EVENT HANDLERS
-// 
+/**
+ * Release a disconnected player's seat once the grace period has expired
+ * @param {string} playerId - Stable player ID
+ */
+function releaseDisconnectedPlayer(playerId) {
+    delete reconnectTimers[playerId];
+    if (!players[playerId] || players[playerId].socketId) return;
 
-io.on("connection", (socket) => {
-    console.log(`Player connected: ${socket.id}`);
-    
-    // Initialize player data
-    players[socket.id] = {
-        id: socket.id,
-        gameId: null,
-        wins: 0, // Note: In production, this should be loaded from a database
-        losses: 0,
-        lastActivity: Date.now()
-    };
+    console.log(`Reconnect grace period expired for player ${playerId}`);
+    removePlayerFromGame(playerId);
+    delete players[playerId];
+}
 
-    // Update global connection count
-    safeStatsUpdate(() => {
-        globalGameStats.totalPlayersConnected = Object.keys(players).length;
-    });
+/**
+ * Stop watching a game: leave its room and return to the lobby list
+ * @param {string} playerId - Stable player ID
+ */
+function stopSpectating(playerId) {
+    const playerInfo = players[playerId];
+    const gameId = playerInfo?.spectatingGameId;
+    if (!gameId) return;
+
+    playerInfo.spectatingGameId = null;
+    const playerSocket = playerInfo.socketId && io.sockets.sockets.get(playerInfo.socketId);
+    if (playerSocket) playerSocket.leave(gameId);
+    console.log(`Player ${playerId} stopped spectating game ${gameId}`);
+}
 
-    // Send initial data to the newly connected player
-    socket.emit("initial_data", {
-        playerId: socket.id,
-        globalStats: globalGameStats,
-        playerStats: { wins: players[socket.id].wins, losses: players[socket.id].losses }
-    });
+/**
+ * Send a chat channel's scrollback to a socket
+ * @param {Socket} socket - Receiving socket
+ * @param {string} channel - "lobby" or "game"
+ * @param {string} gameId - Game whose channel to send (for the game channel)
+ */
+function sendChatHistory(socket, channel, gameId = null) {
+    const messages = chatHistory.getScrollback(channel === "game" ? gameId : LOBBY_CHANNEL);
+    socket.emit("chat_history", { channel, messages });
+}
 
-    // Send available games list
-    broadcastGameList();
+/**
+ * Generate a short invite code that no current game uses
+ * @returns {string} Invite code
+ */
+function generateInviteCode() {
+    let code;
+    do {
+        code = Array.from({ length: INVITE_CODE_LENGTH },
+            () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]).join("");
+    } while (findGameByInviteCode(code));
+    return code;
+}
 
-    // 
-    // GAME MANAGEMENT EVENTS
-    // 
+/**
+ * Find a game by its invite code (case-insensitive)
+ * @param {string} code - Invite code entered by a player
+ * @returns {Game|undefined} Matching game
+ */
+function findGameByInviteCode(code) {
+    if (typeof code !== "string") return undefined;
+    const normalized = code.trim().toUpperCase();
+    return Object.values(games).find(game => game.inviteCode === normalized);
+}
 
-    /**
-     * Handle game creation request
-     */
-    socket.on("create_game", () => {
-        try {
-            if (players[socket.id]?.gameId) {
-                return socket.emit("error_message", "You are already in a game.");
-            }
+/**
+ * Seat a player in a waiting game and notify everyone involved, through the game's
+ * command queue
+ * @param {Socket} socket - Socket of the joining player
+ * @param {string} playerId - Stable player ID
+ * @param {Game} game - Game to join
+ */
+function joinGame(socket, playerId, game) {
+    queueGameCommand(game, () => {
+        // The player may have joined another game while this command waited
+        if (players[playerId]?.gameId) {
+            return sendError(socket, "already_in_game", "You are already in a game.");
+        }
 
-            const gameId = uuidv4();
-            const newGame = new Game(gameId, socket.id);
-            games[gameId] = newGame;
-            players[socket.id].gameId = gameId;
-            socket.join(gameId);
-            
-            console.log(`Player ${socket.id} created game ${gameId}`);
-            socket.emit("game_joined", newGame.getState(socket.id));
-            broadcastGameList();
-        } catch (error) {
-            console.error(`Error creating game for player ${socket.id}:`, error);
-            socket.emit("error_message", "Failed to create game. Please try again.");
+        if (game.status !== "waiting") {
+            return sendError(socket, "game_not_joinable", "Game already started or finished.");
         }
-    });
 
-    /**
-     * Handle game join request
-     */
-    socket.on("join_game", (gameId) => {
-        try {
-            if (players[socket.id]?.gameId) {
-                return socket.emit("error_message", "You are already in a game.");
-            }
+        if (game.playerOrder.length >= game.rules.maxPlayers) {
+            return sendError(socket, "game_full", "Game is full.");
+        }
 
-            const game = games[gameId];
-            if (!game) {
-                return socket.emit("error_message", "Game not found.");
-            }
+        stopSpectating(playerId);
 
-            if (game.status !== "waiting") {
-                return socket.emit("error_message", "Game already started or finished.");
-            }
+        const result = game.addPlayer(playerId);
+        if (!result.success) {
+            return sendError(socket, "join_failed", result.message || "Could not join game.");
+        }
 
-            if (game.playerOrder.length >= 4) {
-                return socket.emit("error_message", "Game is full.");
-            }
+        players[playerId].gameId = game.id;
+        console.log(`Player ${playerId} joined game ${game.id}`);
 
-            const result = game.addPlayer(socket.id);
-            if (result.success) {
-                players[socket.id].gameId = gameId;
-                socket.join(gameId);
-                console.log(`Player ${socket.id} joined game ${gameId}`);
-                
-                // Send game_joined to the new player (triggers showGameArea)
-                socket.emit("game_joined", game.getState());
-                
-                // Send game_update to other players in the game
-                socket.to(gameId).emit("game_update", game.getState());
-                
-                broadcastGameList();
-            } else {
-                socket.emit("error_message", result.message || "Could not join game.");
-            }
-        } catch (error) {
-            console.error(`Error joining game ${gameId} for player ${socket.id}:`, error);
-            socket.emit("error_message", "Failed to join game. Please try again.");
-        }
+        // Patch the players already in the game, then join the room with the new version
+        broadcastGameState(game);
+        socket.join(game.id);
+
+        // Send game_joined to the new player (triggers showGameArea)
+        sendGameState(socket, "game_joined", game);
+        sendChatHistory(socket, "game", game.id);
+
+        broadcastGameList();
     });
+}
 
-    /**
-     * Handle game start request
-     */
-    socket.on("start_game", () => {
-        try {
-            const gameId = players[socket.id]?.gameId;
-            const game = games[gameId];
-            
-            if (!game) {
-                return socket.emit("error_message", "You are not in a game.");
+/**
+ * Apply a game action (place monster, move monster, end turn) for a player.
+ * Used for both human actions received over the socket and bot actions.
+ * @param {Game} game - Game to act on
+ * @param {string} playerId - Acting player
+ * @param {Object} data - Action data ({ action, ... })
+ * @returns {Object} Success/failure result with message
+ */
+function executeGameAction(game, playerId, data) {
+    switch (data.action) {
+        case "place_monster":
+            if (!data.type || typeof data.x !== 'number' || typeof data.y !== 'number') {
+                return { success: false, message: "Invalid placement data." };
             }
+            return game.placeMonster(playerId, data.type, data.x, data.y);
 
-            if (game.playerOrder[0] !== socket.id) {
-                return socket.emit("error_message", "Only the creator can start the game.");
+        case "move_monster":
+            if (!data.monsterId || typeof data.newX !== 'number' || typeof data.newY !== 'number') {
+                return { success: false, message: "Invalid movement data." };
             }
+            return game.moveMonster(playerId, data.monsterId, data.newX, data.newY);
 
-            if (game.playerOrder.length < 2) {
-                return socket.emit("error_message", "The game needs at least 2 players to start.");
-            }
+        case "end_turn":
+            return game.endTurn(playerId);
 
-            if (game.status === "active") {
-                return socket.emit("error_message", "The game has already started.");
-            }
+        default:
+            console.warn(`Unknown game action received: ${data.action}`);
+            return { success: false, message: "Unknown action type." };
+    }
+}
 
-            if (game.startGame()) {
-                console.log(`Game ${gameId} started by ${socket.id}`);
-                io.to(gameId).emit("game_started", game.getState());
-                broadcastGameList();
-            } else {
-                socket.emit("error_message", "Could not start the game.");
-            }
-        } catch (error) {
-            console.error(`Error starting game for player ${socket.id}:`, error);
-            socket.emit("error_message", "Failed to start game. Please try again.");
+/**
+ * Build the acknowledgement of a game action
+ * @param {boolean} ok - True if the action was applied
+ * @param {string|null} code - Failure code (null on success)
+ * @param {string} message - Result message for the player
+ * @param {number|null} version - State version the player is at afterwards
+ * @returns {Object} { ok, code, message, version }
+ */
+function actionAck(ok, code, message, version = null) {
+    return { ok, code, message, version };
+}
+
+/**
+ * Validate and apply a game action sent by a player, then broadcast the result
+ * @param {Socket} socket - Socket the action came from
+ * @param {string} playerId - Acting player
+ * @param {Object} data - Action data ({ action, version, requestId, ... })
+ * @returns {Object} Acknowledgement (see actionAck)
+ */
+function handlePlayerAction(socket, playerId, data) {
+    const handlingStartedAt = performance.now();
+    let accepted = false;
+    try {
+        const gameId = players[playerId]?.gameId;
+        const validation = validatePlayerAction(playerId, gameId);
+        
+        if (!validation.valid) {
+            return actionAck(false, "not_allowed", validation.message);
         }
-    });
 
-    // 
-    // GAME ACTION EVENTS
-    // 
+        const { game } = validation;
 
-    /**
-     * Handle game actions (place monster, move monster, end turn)
-     */
-    socket.on("game_action", (data) => {
-        try {
-            const gameId = players[socket.id]?.gameId;
-            const validation = validatePlayerAction(socket.id, gameId);
-            
-            if (!validation.valid) {
-                return socket.emit("error_message", validation.message);
-            }
+        if (game.getCurrentPlayer() !== playerId) {
+            return actionAck(false, "not_your_turn", "Not your turn.", game.getViewVersion(playerId));
+        }
 
-            const { game } = validation;
+        // Only apply actions taken on the board the player was last sent
+        if (data.version !== game.getViewVersion(playerId)) {
+            console.log(`Stale ${data.action} from player ${playerId} in game ${gameId} (version ${data.version}, current ${game.getViewVersion(playerId)})`);
+            sendGameState(socket, "game_update", game);
+            return actionAck(false, "stale_version", "The game changed before your action arrived. Please try again.", game.getViewVersion(playerId));
+        }
 
-            if (game.getCurrentPlayer() !== socket.id) {
-                return socket.emit("error_message", "Not your turn.");
-            }
+        // Process the action based on type
+        const result = executeGameAction(game, playerId, data);
 
-            // Update player activity
-            players[socket.id].lastActivity = Date.now();
+        if (!result.success) {
+            console.log(`Action ${data.action} failed for player ${playerId} in game ${gameId}: ${result.message}`);
+            return actionAck(false, "invalid_action", result.message || "Action failed.", game.getViewVersion(playerId));
+        }
 
-            let result = { success: false, message: "Unknown action." };
+        accepted = true;
+        console.log(`Action ${data.action} successful for player ${playerId} in game ${gameId}`);
+        broadcastGameState(game);
 
-            // Process the action based on type
-            switch (data.action) {
-                case "place_monster":
-                    if (!data.type || typeof data.x !== 'number' || typeof data.y !== 'number') {
-                        result = { success: false, message: "Invalid placement data." };
-                    } else {
-                        result = game.placeMonster(socket.id, data.type, data.x, data.y);
-                    }
-                    break;
+        // Check if game finished, otherwise let a bot play if it is its turn
+        if (game.status === "finished") {
+            handleGameOver(game);
+        } else {
+            scheduleGameTimers(game);
+        }
+        return actionAck(true, null, result.message || "Action applied.", game.getViewVersion(playerId));
+    } catch (error) {
+        console.error(`Error processing game action for player ${playerId}:`, error);
+        return actionAck(false, "server_error", "Internal server error. Please try again.");
+    } finally {
+        metrics.recordAction(data.action, accepted, performance.now() - handlingStartedAt);
+    }
+}
 
-                case "move_monster":
-                    if (!data.monsterId || typeof data.newX !== 'number' || typeof data.newY !== 'number') {
-                        result = { success: false, message: "Invalid movement data." };
-                    } else {
-                        result = game.moveMonster(socket.id, data.monsterId, data.newX, data.newY);
-                    }
-                    break;
+/**
+ * Re-arm everything that runs on its own after a game state change:
+ * the current turn's clock and, if it is a bot's turn, the bot's next action
+ * @param {Game} game - Game whose state changed
+ */
+function scheduleGameTimers(game) {
+    scheduleTurnTimer(game);
+    scheduleBotTurn(game);
+}
 
-                case "end_turn":
-                    result = game.endTurn(socket.id);
-                    break;
+/**
+ * Cancel all pending timers of a game
+ * @param {string} gameId - Game ID
+ */
+function clearGameTimers(gameId) {
+    clearTimeout(botTimers[gameId]);
+    delete botTimers[gameId];
+    clearTimeout(turnTimers[gameId]);
+    delete turnTimers[gameId];
+}
 
-                default:
-                    console.warn(`Unknown game action received: ${data.action}`);
-                    result = { success: false, message: "Unknown action type." };
-            }
+/**
+ * Schedule the automatic end of the current turn when its time runs out
+ * @param {Game} game - Game to time
+ */
+function scheduleTurnTimer(game) {
+    clearTimeout(turnTimers[game.id]);
+    delete turnTimers[game.id];
+
+    const remaining = game.getTurnTimeRemaining();
+    if (game.status !== "active" || remaining === null) return;
+
+    const playerId = game.getCurrentPlayer();
+    turnTimers[game.id] = setTimeout(() => {
+        delete turnTimers[game.id];
+        queueGameCommand(game, () => handleTurnExpired(game, playerId));
+    }, remaining);
+}
 
-            // Handle the result
-            if (result.success) {
-                console.log(`Action ${data.action} successful for player ${socket.id} in game ${gameId}`);
-                const newState = game.getState();
-                io.to(gameId).emit("game_update", newState);
+/**
+ * End a turn that ran out of time and broadcast the result like a player action
+ * @param {Game} game - Game whose turn expired
+ * @param {string} playerId - Player who ran out of time
+ */
+function handleTurnExpired(game, playerId) {
+    try {
+        if (games[game.id] !== game || game.status !== "active") return;
 
-                // Check if game finished
-                if (game.status === "finished") {
-                    handleGameOver(game);
-                }
+        const result = game.handleTurnTimeout(playerId);
+        if (!result.success) {
+            // The turn changed or the timer fired early - re-arm for the current turn
+            scheduleGameTimers(game);
+            return;
+        }
+
+        io.to(game.id).emit("turn_timeout", { playerId, forfeited: !!result.forfeited, message: result.message });
+        broadcastGameState(game);
+
+        if (game.status === "finished") {
+            handleGameOver(game);
+        } else {
+            scheduleGameTimers(game);
+        }
+    } catch (error) {
+        console.error(`Error handling turn timeout in game ${game.id}:`, error);
+    }
+}
+
+/**
+ * Schedule the next bot action if it is a bot's turn
+ * @param {Game} game - Game to check
+ */
+function scheduleBotTurn(game) {
+    if (botTimers[game.id] || game.status !== "active") return;
+
+    const bot = bots[game.getCurrentPlayer()];
+    if (!bot) return;
+
+    botTimers[game.id] = setTimeout(() => {
+        delete botTimers[game.id];
+        queueGameCommand(game, () => runBotAction(game, bot));
+    }, BOT_ACTION_DELAY_MS);
+}
+
+/**
+ * Let a bot take one action and broadcast the result like a human action
+ * @param {Game} game - Game the bot plays in
+ * @param {Bot} bot - Bot whose turn it is
+ */
+function runBotAction(game, bot) {
+    try {
+        if (games[game.id] !== game || game.status !== "active" || game.getCurrentPlayer() !== bot.id) {
+            return;
+        }
+
+        const action = bot.nextAction(game);
+        let result = executeGameAction(game, bot.id, action);
+        if (!result.success && action.action !== "end_turn") {
+            // Never let a confused bot stall the game
+            console.warn(`Bot ${bot.id} action ${action.action} rejected: ${result.message}`);
+            result = executeGameAction(game, bot.id, { action: "end_turn" });
+        }
+
+        if (result.success) {
+            broadcastGameState(game);
+            if (game.status === "finished") {
+                handleGameOver(game);
+                return;
+            }
+        }
+        scheduleGameTimers(game);
+    } catch (error) {
+        console.error(`Error running bot ${bot.id} in game ${game.id}:`, error);
+    }
+}
+
+/**
+ * Validate that a player can perform an action in a game
+ * @param {string} playerId - Stable player ID
+ * @param {string} gameId - Game ID
+ * @returns {Object} Validation result with game and player info
+ */
+function validatePlayerAction(playerId, gameId) {
+    const playerInfo = players[playerId];
+    if (!playerInfo) {
+        return { valid: false, message: "Player not found." };
+    }
+
+    if (playerInfo.spectatingGameId) {
+        return { valid: false, message: "Spectators cannot perform game actions." };
+    }
+
+    if (playerInfo.gameId !== gameId) {
+        return { valid: false, message: "You are not in this game." };
+    }
+
+    const game = games[gameId];
+    if (!game) {
+        return { valid: false, message: "Game not found." };
+    }
+
+    if (game.status !== "active") {
+        return { valid: false, message: "Game is not active." };
+    }
+
+    return { valid: true, game, playerInfo };
+}
+
+// 
+// ACTIVITY MONITOR
+// 
+
+/**
+ * Refresh a player's last activity. Only turn actions count against idling: they also
+ * withdraw a pending idle warning against the player.
+ * @param {string} playerId - Stable player ID
+ * @param {boolean} isTurnAction - Whether the activity is a turn action
+ */
+function recordActivity(playerId, isTurnAction) {
+    const playerInfo = players[playerId];
+    if (!playerInfo) return;
+
+    playerInfo.lastActivity = Date.now();
+    if (!isTurnAction) return;
+
+    playerInfo.lastTurnActionAt = playerInfo.lastActivity;
+    const gameId = playerInfo.gameId;
+    if (gameId && activityMonitor.markActive(gameId, playerId)) {
+        io.to(gameId).emit("idle_resolved", { playerId, outcome: "returned" });
+    }
+}
+
+/**
+ * Players who may vote on an idle player: the other humans still playing and connected
+ * @param {Game} game - Game in progress
+ * @param {string} targetId - Idle player
+ * @returns {Array} Player IDs of the voters
+ */
+function getIdleVoters(game, targetId) {
+    return game.playerOrder.filter(pid =>
+        pid !== targetId && !game.players[pid].isBot &&
+        !game.isPlayerEliminated(pid) && !game.isPlayerDisconnected(pid)
+    );
+}
+
+/**
+ * Periodic check of every game: idle current players and abandoned waiting games
+ */
+function checkActivity() {
+    const now = Date.now();
+    Object.values(games).forEach(game => {
+        try {
+            if (game.status === "active") {
+                checkIdleTurn(game, now);
+            } else if (game.status === "waiting") {
+                checkStaleGame(game, now);
+            }
+        } catch (error) {
+            console.error(`Error checking activity in game ${game.id}:`, error);
+        }
+    });
+}
+
+/**
+ * Warn or forfeit the current player of a game if they have stopped playing
+ * @param {Game} game - Game in progress
+ * @param {number} now - Current time in ms since epoch
+ */
+function checkIdleTurn(game, now) {
+    const playerId = game.getCurrentPlayer();
+    const playerInfo = players[playerId];
+
+    // Bots never idle, and disconnected players are covered by the reconnect grace period
+    if (!playerInfo || game.players[playerId].isBot || game.isPlayerDisconnected(playerId)) {
+        activityMonitor.forget(game.id);
+        return;
+    }
+
+    const idleSince = Math.max(playerInfo.lastTurnActionAt, game.turnBeganAt ?? 0);
+    const verdict = activityMonitor.checkTurn(game.id, playerId, idleSince, now);
+
+    if (verdict === "warn") {
+        console.log(`Player ${playerId} is idle in game ${game.id}`);
+        io.to(game.id).emit("idle_warning", {
+            playerId,
+            forfeitInMs: Math.max(0, IDLE_FORFEIT_MS - (now - idleSince)),
+            votesNeeded: Math.floor(getIdleVoters(game, playerId).length / 2) + 1
+        });
+    } else if (verdict === "forfeit") {
+        queueGameCommand(game, () => resolveIdlePlayer(game, playerId, "forfeit"));
+    }
+}
+
+/**
+ * Skip the turn of, or forfeit, an idle player and broadcast the result like a player action
+ * @param {Game} game - Game in progress
+ * @param {string} playerId - Idle player
+ * @param {string} outcome - "skip" (opponents' vote), "kick" (opponents' vote) or "forfeit" (idle too long)
+ */
+function resolveIdlePlayer(game, playerId, outcome) {
+    if (game.status !== "active" || game.getCurrentPlayer() !== playerId) return;
+
+    activityMonitor.forget(game.id);
+    if (outcome === "skip") {
+        game.endTurn(playerId, { reason: "idle" });
+    } else {
+        game.forfeitPlayer(playerId);
+    }
+    console.log(`Idle player ${playerId} in game ${game.id}: ${outcome}`);
+
+    io.to(game.id).emit("idle_resolved", { playerId, outcome });
+    broadcastGameState(game);
+
+    if (game.status === "finished") {
+        handleGameOver(game);
+    } else {
+        scheduleGameTimers(game);
+    }
+}
+
+/**
+ * Close a waiting game none of its players has touched for STALE_GAME_MS
+ * @param {Game} game - Waiting game
+ * @param {number} now - Current time in ms since epoch
+ */
+function checkStaleGame(game, now) {
+    const lastTouchedAt = Math.max(0, ...game.playerOrder.map(pid => players[pid]?.lastActivity ?? 0));
+    if (!activityMonitor.isStale(lastTouchedAt, now)) return;
+
+    console.log(`Closing waiting game ${game.id}: no activity for ${STALE_GAME_MS}ms`);
+    game.playerOrder.forEach(pid => {
+        delete bots[pid];
+        const playerInfo = players[pid];
+        if (playerInfo?.gameId !== game.id) return;
+
+        playerInfo.gameId = null;
+        const playerSocket = playerInfo.socketId && io.sockets.sockets.get(playerInfo.socketId);
+        if (playerSocket) {
+            playerSocket.leave(game.id);
+            playerSocket.emit("game_closed", { gameId: game.id, message: "The game was closed because nobody used it for a long time." });
+        }
+    });
+
+    clearGameTimers(game.id);
+    delete games[game.id];
+    delete gameQueues[game.id];
+    activityMonitor.forget(game.id);
+    chatHistory.deleteChannel(game.id);
+    broadcastGameList();
+}
+
+// 
+// ADMIN API
+// 
+
+/**
+ * Summarize every game for operators, including private and finished ones
+ * @returns {Array} Game summaries with their players and the players' socket IDs
+ */
+function getAdminGameList() {
+    return Object.values(games).map(game => ({
+        id: game.id,
+        status: game.status,
+        round: game.round,
+        isPrivate: game.isPrivate,
+        inviteCode: game.inviteCode,
+        hostId: game.hostId,
+        startedAt: game.startedAt,
+        spectators: Object.values(players).filter(p => p.spectatingGameId === game.id).length,
+        players: game.playerOrder.map(pid => ({
+            playerId: pid,
+            socketId: players[pid]?.socketId || null,
+            isBot: game.players[pid].isBot,
+            edge: game.players[pid].edge,
+            monstersLost: game.players[pid].monstersLost,
+            disconnected: game.players[pid].disconnected,
+            eliminated: game.isPlayerEliminated(pid)
+        }))
+    }));
+}
+
+/**
+ * Force-end a game in progress without a winner, once the game's queued commands have run
+ * @param {string} gameId - Game to end
+ * @returns {Promise<Object>} Success/failure result with message
+ */
+async function forceEndGame(gameId) {
+    const notActive = { success: false, message: "Only games in progress can be ended." };
+    const game = games[gameId];
+    if (!game) return notActive;
+
+    const result = await queueGameCommand(game, () => {
+        if (game.status !== "active") return notActive;
+
+        console.log(`Admin ended game ${gameId}`);
+        game.endGame(null);
+        broadcastGameState(game);
+        handleGameOver(game);
+        broadcastGameList();
+        return { success: true, message: `Game ${gameId} ended.` };
+    });
+    return result || notActive; // The game was removed while the command waited
+}
+
+/**
+ * Disconnect a socket on behalf of an operator, releasing the player's seat right away
+ * @param {string} socketId - Socket to disconnect
+ * @param {string} reason - Optional reason shown to the player
+ * @returns {Object} Success/failure result with message
+ */
+function kickSocket(socketId, reason) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) {
+        return { success: false, message: "Socket not found." };
+    }
+
+    const playerId = socket.data.playerId;
+    if (players[playerId]?.socketId === socketId) {
+        // No reconnect grace period for a kicked player
+        stopSpectating(playerId);
+        removePlayerFromGame(playerId);
+    }
+
+    const notice = typeof reason === "string" && reason.trim()
+        ? `Disconnected by an administrator: ${reason.trim()}`
+        : "Disconnected by an administrator.";
+    sendError(socket, "kicked_by_admin", notice);
+    socket.disconnect(true);
+    console.log(`Admin kicked socket ${socketId} (player ${playerId})`);
+    return { success: true, message: `Socket ${socketId} disconnected.` };
+}
+
+/**
+ * Broadcast a server announcement to every connected client
+ * @param {*} message - Announcement text
+ * @returns {Object} Success/failure result with message
+ */
+function broadcastAnnouncement(message) {
+    if (typeof message !== "string" || message.trim().length === 0) {
+        return { success: false, message: "Announcement message is required." };
+    }
+    if (message.trim().length > ANNOUNCEMENT_MAX_LENGTH) {
+        return { success: false, message: `Announcement is too long (max ${ANNOUNCEMENT_MAX_LENGTH} characters).` };
+    }
+
+    io.emit("server_announcement", { message: message.trim(), timestamp: Date.now() });
+    console.log(`Admin announcement: ${message.trim()}`);
+    return { success: true, message: "Announcement sent." };
+}
+
+if (!ADMIN_TOKEN) {
+    console.warn("ADMIN_TOKEN not set - the admin API is disabled.");
+}
+app.use("/admin/api", createAdminRouter({
+    token: ADMIN_TOKEN,
+    listGames: getAdminGameList,
+    getGameState: gameId => games[gameId]?.getState() ?? null,
+    endGame: forceEndGame,
+    kickSocket,
+    announce: broadcastAnnouncement
+}));
+
+// 
+// SOCKET.IO EVENT HANDLERS
+// 
+
+/**
+ * Tell a client that a handler refused its request
+ * @param {Socket} socket - Socket to notify
+ * @param {string} code - Machine-readable reason (listed with error_message in the README)
+ * @param {string} message - Explanation for the player
+ */
+function sendError(socket, code, message) {
+    socket.emit("error_message", { code, message });
+}
+
+/**
+ * Tell a client that one of its events was rejected before reaching its handler:
+ * through the event's acknowledgement callback if it has one, otherwise with event_rejected
+ * @param {Socket} socket - Socket the event came from
+ * @param {string} event - Event name
+ * @param {Array} args - Event arguments (a trailing function is the acknowledgement callback)
+ * @param {string} code - rate_limited, rate_limit_abuse, unknown_event or invalid_payload
+ * @param {string} message - Explanation for the player
+ */
+function rejectEvent(socket, event, args, code, message) {
+    const ack = args[args.length - 1];
+    if (typeof ack === "function") {
+        ack({ ok: false, code, message });
+    } else {
+        socket.emit("event_rejected", { event: String(event).slice(0, 50), code, message });
+    }
+}
+
+/**
+ * Resolve the player's stable identity from the session token in the handshake.
+ * Clients without a valid token are given a fresh player ID.
+ */
+io.use((socket, next) => {
+    socket.data.playerId = verifySessionToken(socket.handshake.auth?.token) || uuidv4();
+    next();
+});
+
+io.on("connection", (socket) => {
+    const playerId = socket.data.playerId;
+    const existingPlayer = players[playerId];
+    console.log(`Player ${existingPlayer ? "reconnected" : "connected"}: ${playerId} (socket ${socket.id})`);
+
+    if (existingPlayer) {
+        // The same session opened a new socket: retire the previous one. The player points at
+        // the new socket first, so the old socket's disconnect handler sees a replaced socket
+        // and leaves the player's seat and game alone.
+        const previousSocket = existingPlayer.socketId && io.sockets.sockets.get(existingPlayer.socketId);
+        existingPlayer.socketId = socket.id;
+        if (previousSocket) {
+            sendError(previousSocket, "session_replaced", "Your session was opened in another window.");
+            previousSocket.disconnect(true);
+        }
+
+        // Cancel any pending seat release
+        clearTimeout(reconnectTimers[playerId]);
+        delete reconnectTimers[playerId];
+        delete existingPlayer.disconnectedAt;
+        existingPlayer.spectatingGameId = null; // The new socket has not joined any spectated room
+        existingPlayer.lastActivity = Date.now();
+    } else {
+        // Initialize player data
+        players[playerId] = {
+            id: playerId,
+            socketId: socket.id,
+            gameId: null,
+            spectatingGameId: null,
+            lastActivity: Date.now(),
+            lastTurnActionAt: Date.now(),
+            recentActions: new Map() // requestId -> Promise of the action's acknowledgement
+        };
+    }
+
+    // Resume the game the player still has a seat in (an active game holding it during the
+    // grace period, or any game the session's other window was in)
+    const resumedGame = games[players[playerId].gameId];
+    if (!resumedGame || resumedGame.status === "finished" || !resumedGame.players[playerId]) {
+        players[playerId].gameId = null;
+    }
+
+    // Update global connection count
+    queueStatsUpdate(() => {
+        globalGameStats.totalPlayersConnected = countConnectedPlayers();
+    });
+
+    // Send initial data to the newly connected player
+    socket.emit("initial_data", {
+        playerId: playerId,
+        sessionToken: createSessionToken(playerId),
+        gameId: players[playerId].gameId,
+        globalStats: globalGameStats,
+        playerStats: statsStore.getPlayerStats(playerId)
+    });
+
+    // Rate limit every inbound event and check it against its schema before its handler runs
+    const rateLimiter = new SocketRateLimiter(RATE_LIMIT_STRIKES);
+    socket.use(([event, ...args], next) => {
+        if (shuttingDown) {
+            return rejectEvent(socket, event, args, "shutting_down", "The server is restarting. Please reconnect in a moment.");
+        }
+
+        const known = Object.hasOwn(EVENT_SCHEMAS, event);
+        const verdict = rateLimiter.consume(known ? event : "*", known ? EVENT_SCHEMAS[event].rate : UNKNOWN_EVENT_RATE);
+
+        if (verdict === "abusive") {
+            console.warn(`Disconnecting socket ${socket.id} of player ${playerId}: rate limits exceeded`);
+            rejectEvent(socket, event, args, "rate_limit_abuse", "Too many requests. You have been disconnected.");
+            return socket.disconnect(true);
+        }
+        if (verdict === "limited") {
+            return rejectEvent(socket, event, args, "rate_limited", "You are sending requests too quickly. Please slow down.");
+        }
+
+        let validation;
+        try {
+            validation = validateEvent(event, args);
+        } catch (error) {
+            console.error(`Error validating ${String(event).slice(0, 50)} from player ${playerId}:`, error);
+            validation = { success: false, code: "invalid_payload", message: "Invalid request." };
+        }
+        if (!validation.success) {
+            console.warn(`Rejected ${String(event).slice(0, 50)} from player ${playerId}: ${validation.message}`);
+            return rejectEvent(socket, event, args, validation.code, validation.message);
+        }
+
+        if (EVENT_SCHEMAS[event].activity) {
+            recordActivity(playerId, EVENT_SCHEMAS[event].activity === "turn");
+        }
+        next();
+    });
+
+    // Every socket is in the lobby chat channel
+    socket.join(LOBBY_CHANNEL);
+    socket.data.chatSentAt = []; // Timestamps of recent chat messages, for rate limiting
+    sendChatHistory(socket, "lobby");
+
+    // Resync the reconnected player with their game, or send the lobby list
+    if (players[playerId].gameId) {
+        socket.join(resumedGame.id);
+        sendChatHistory(socket, "game", resumedGame.id);
+        queueGameCommand(resumedGame, () => {
+            resumedGame.markPlayerReconnected(playerId);
+            broadcastGameState(resumedGame);
+            sendGameState(socket, "game_joined", resumedGame);
+        });
+    } else {
+        broadcastGameList();
+    }
+
+    // 
+    // GAME MANAGEMENT EVENTS
+    // 
+
+    /**
+     * Handle game creation request
+     * Optional data: { rules: { boardSize, maxPlayers, eliminationThreshold, diagonalRange, fogOfWar, visionRadius }, isPrivate, seed }
+     * A seed (unsigned 32-bit integer) replays the random decisions of an earlier game; it is
+     * only accepted when ALLOW_CUSTOM_SEEDS is set, otherwise the server picks one
+     */
+    socket.on("create_game", (data) => {
+        try {
+            if (players[playerId]?.gameId) {
+                return sendError(socket, "already_in_game", "You are already in a game.");
+            }
+
+            if (data?.seed != null && !ALLOW_CUSTOM_SEEDS) {
+                return sendError(socket, "seed_not_allowed", "This server does not allow choosing the game seed.");
+            }
+
+            const ruleResult = RuleSet.fromHostOptions(data?.rules, TURN_CLOCK_OPTIONS);
+            if (!ruleResult.success) {
+                return sendError(socket, "invalid_rules", ruleResult.message);
+            }
+
+            stopSpectating(playerId);
+
+            const gameId = uuidv4();
+            const newGame = new Game(gameId, playerId, ruleResult.ruleSet, {
+                isPrivate: data?.isPrivate === true,
+                inviteCode: generateInviteCode(),
+                rng: new SeededRandom(data?.seed ?? undefined)
+            });
+            games[gameId] = newGame;
+            players[playerId].gameId = gameId;
+            socket.join(gameId);
+            
+            console.log(`Player ${playerId} created ${newGame.isPrivate ? "private " : ""}game ${gameId} (invite code ${newGame.inviteCode}, seed ${newGame.rng.seed})`);
+            sendGameState(socket, "game_joined", newGame);
+            sendChatHistory(socket, "game", gameId);
+            broadcastGameList();
+        } catch (error) {
+            console.error(`Error creating game for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to create game. Please try again.");
+        }
+    });
+
+    /**
+     * Handle game join request
+     */
+    socket.on("join_game", (gameId) => {
+        try {
+            if (players[playerId]?.gameId) {
+                return sendError(socket, "already_in_game", "You are already in a game.");
+            }
+
+            const game = games[gameId];
+            if (!game) {
+                return sendError(socket, "game_not_found", "Game not found.");
+            }
+
+            if (game.isPrivate) {
+                return sendError(socket, "game_private", "This game is private. Join it with its invite code.");
+            }
+
+            joinGame(socket, playerId, game);
+        } catch (error) {
+            console.error(`Error joining game ${gameId} for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to join game. Please try again.");
+        }
+    });
+
+    /**
+     * Handle request to join a game (public or private) with its invite code
+     */
+    socket.on("join_by_code", (code) => {
+        try {
+            if (players[playerId]?.gameId) {
+                return sendError(socket, "already_in_game", "You are already in a game.");
+            }
+
+            const game = findGameByInviteCode(code);
+            if (!game) {
+                return sendError(socket, "game_not_found", "No game found with that invite code.");
+            }
+
+            joinGame(socket, playerId, game);
+        } catch (error) {
+            console.error(`Error joining game by code for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to join game. Please try again.");
+        }
+    });
+
+    /**
+     * Handle game start request
+     */
+    socket.on("start_game", () => {
+        try {
+            const gameId = players[playerId]?.gameId;
+            const game = games[gameId];
+            
+            if (!game) {
+                return sendError(socket, "not_in_game", "You are not in a game.");
+            }
+
+            queueGameCommand(game, () => {
+                if (game.hostId !== playerId) {
+                    return sendError(socket, "not_host", "Only the host can start the game.");
+                }
+
+                if (game.playerOrder.length < 2) {
+                    return sendError(socket, "not_enough_players", "The game needs at least 2 players to start.");
+                }
+
+                if (game.status === "active") {
+                    return sendError(socket, "game_already_started", "The game has already started.");
+                }
+
+                if (!game.areAllPlayersReady()) {
+                    return sendError(socket, "players_not_ready", "Every player must be ready before the game can start.");
+                }
+
+                if (game.startGame()) {
+                    console.log(`Game ${gameId} started by ${playerId}`);
+                    // Everyone gets a full snapshot of their own view, no patch or events needed
+                    game.takeEvents();
+                    getRoomSockets(gameId).forEach(roomSocket => sendGameState(roomSocket, "game_started", game));
+                    broadcastGameList();
+                    scheduleGameTimers(game);
+                } else {
+                    sendError(socket, "start_failed", "Could not start the game.");
+                }
+            });
+        } catch (error) {
+            console.error(`Error starting game for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to start game. Please try again.");
+        }
+    });
+
+    /**
+     * Handle request from the host to fill an empty seat with an AI bot
+     */
+    socket.on("add_bot", (data) => {
+        try {
+            const gameId = players[playerId]?.gameId;
+            const game = games[gameId];
+
+            if (!game) {
+                return sendError(socket, "not_in_game", "You are not in a game.");
+            }
+
+            queueGameCommand(game, () => {
+                if (game.hostId !== playerId) {
+                    return sendError(socket, "not_host", "Only the host can add bots.");
+                }
+
+                const difficulty = data?.difficulty;
+                if (!Bot.DIFFICULTIES.includes(difficulty)) {
+                    return sendError(socket, "invalid_payload", "Invalid bot difficulty.");
+                }
+
+                const botId = `bot-${uuidv4()}`;
+                const result = game.addPlayer(botId, { botDifficulty: difficulty });
+                if (!result.success) {
+                    return sendError(socket, "add_bot_failed", result.message || "Could not add bot.");
+                }
+
+                bots[botId] = new Bot(botId, difficulty);
+                console.log(`Player ${playerId} added ${difficulty} bot ${botId} to game ${gameId}`);
+                broadcastGameState(game);
+                broadcastGameList();
+            });
+        } catch (error) {
+            console.error(`Error adding bot for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to add bot. Please try again.");
+        }
+    });
+
+    /**
+     * Handle a player toggling whether they are ready to start: { ready }
+     */
+    socket.on("set_ready", (data) => {
+        try {
+            const gameId = players[playerId]?.gameId;
+            const game = games[gameId];
+
+            if (!game) {
+                return sendError(socket, "not_in_game", "You are not in a game.");
+            }
+
+            queueGameCommand(game, () => {
+                const result = game.setPlayerReady(playerId, data?.ready === true);
+                if (!result.success) {
+                    return sendError(socket, "not_allowed", result.message);
+                }
+
+                broadcastGameState(game);
+            });
+        } catch (error) {
+            console.error(`Error setting ready state for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to update ready state. Please try again.");
+        }
+    });
+
+    /**
+     * Handle request from the host to remove a player from the waiting room: { playerId }
+     */
+    socket.on("kick_player", (data) => {
+        try {
+            const gameId = players[playerId]?.gameId;
+            const game = games[gameId];
+
+            if (!game) {
+                return sendError(socket, "not_in_game", "You are not in a game.");
+            }
+
+            const targetId = data?.playerId;
+            queueGameCommand(game, () => {
+                const result = game.kickPlayer(playerId, targetId);
+                if (!result.success) {
+                    return sendError(socket, "not_allowed", result.message);
+                }
+
+                delete bots[targetId];
+                const targetInfo = players[targetId];
+                if (targetInfo) {
+                    targetInfo.gameId = null;
+                    const targetSocket = targetInfo.socketId && io.sockets.sockets.get(targetInfo.socketId);
+                    if (targetSocket) {
+                        targetSocket.leave(gameId);
+                        targetSocket.emit("kicked", { gameId, message: "You were removed from the game by the host." });
+                    }
+                }
+
+                broadcastGameState(game);
+                broadcastGameList();
+            });
+        } catch (error) {
+            console.error(`Error kicking player for host ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to kick player. Please try again.");
+        }
+    });
+
+    /**
+     * Handle request from the host to hand hosting to another player: { playerId }
+     */
+    socket.on("transfer_host", (data) => {
+        try {
+            const gameId = players[playerId]?.gameId;
+            const game = games[gameId];
+
+            if (!game) {
+                return sendError(socket, "not_in_game", "You are not in a game.");
+            }
+
+            queueGameCommand(game, () => {
+                const result = game.transferHost(playerId, data?.playerId);
+                if (!result.success) {
+                    return sendError(socket, "not_allowed", result.message);
+                }
+
+                broadcastGameState(game);
+            });
+        } catch (error) {
+            console.error(`Error transferring host for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to transfer host. Please try again.");
+        }
+    });
+
+    /**
+     * Handle request to watch a game in progress
+     */
+    socket.on("spectate_game", (gameId) => {
+        try {
+            if (players[playerId]?.gameId) {
+                return sendError(socket, "already_in_game", "You are already in a game.");
+            }
+
+            const game = games[gameId];
+            if (!game) {
+                return sendError(socket, "game_not_found", "Game not found.");
+            }
+
+            if (game.status === "finished") {
+                return sendError(socket, "game_finished", "Game already finished.");
+            }
+
+            if (game.isPrivate) {
+                return sendError(socket, "game_private", "Private games cannot be spectated.");
+            }
+
+            // Spectators see the whole board and share the game chat
+            if (game.rules.fogOfWar) {
+                return sendError(socket, "fog_of_war", "Fog-of-war games cannot be spectated.");
+            }
+
+            stopSpectating(playerId);
+            players[playerId].spectatingGameId = gameId;
+            socket.join(gameId);
+            console.log(`Player ${playerId} is spectating game ${gameId}`);
+
+            sendGameState(socket, "spectate_joined", game);
+            sendChatHistory(socket, "game", gameId);
+        } catch (error) {
+            console.error(`Error spectating game ${gameId} for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to spectate game. Please try again.");
+        }
+    });
+
+    /**
+     * Handle request to stop watching a game
+     */
+    socket.on("leave_spectate", () => {
+        try {
+            stopSpectating(playerId);
+            socket.emit("available_games", getLobbyGameList());
+        } catch (error) {
+            console.error(`Error leaving spectate for player ${playerId}:`, error);
+        }
+    });
+
+    // 
+    // GAME ACTION EVENTS
+    // 
+
+    /**
+     * Handle game actions (place monster, move monster, end turn). Each action carries a
+     * client request ID and the state version the player acted on, runs in its game's
+     * command queue and is answered through the acknowledgement callback with
+     * { ok, code, message, version }. A repeated request ID gets the first answer again
+     * and is never applied twice.
+     */
+    socket.on("game_action", (data, callback) => {
+        const respond = (ack) => {
+            if (typeof callback === "function") {
+                callback(ack);
+            } else if (!ack.ok) {
+                sendError(socket, ack.code, ack.message);
+            }
+        };
+
+        const requestId = data.requestId;
+        const recentActions = players[playerId].recentActions;
+        if (recentActions.has(requestId)) {
+            console.log(`Duplicate action request ${requestId} from player ${playerId}`);
+            recentActions.get(requestId).then(respond);
+            return;
+        }
+
+        // Actions on a game wait for the ones before them; anything else is rejected right away
+        const targetGame = games[players[playerId].gameId];
+        const outcome = targetGame
+            ? queueGameCommand(targetGame, () => handlePlayerAction(socket, playerId, data))
+            : Promise.resolve(handlePlayerAction(socket, playerId, data));
+        const answer = outcome.then(ack => ack || actionAck(false, "not_allowed", "Game not found."));
+
+        recentActions.set(requestId, answer);
+        if (recentActions.size > RECENT_ACTIONS_KEPT) {
+            recentActions.delete(recentActions.keys().next().value); // Forget the oldest
+        }
+        answer.then(respond);
+    });
+
+    /**
+     * Answer (through the acknowledgement callback) what the player may do right now:
+     * legal placement squares, movable monsters with their destinations and whether
+     * a monster can still be placed this turn
+     */
+    socket.on("get_legal_actions", (callback) => {
+        if (typeof callback !== "function") return;
+
+        try {
+            const gameId = players[playerId]?.gameId;
+            const validation = validatePlayerAction(playerId, gameId);
+
+            if (!validation.valid) {
+                return callback({ success: false, message: validation.message });
+            }
+
+            callback({ success: true, ...validation.game.getLegalActions(playerId) });
+        } catch (error) {
+            console.error(`Error getting legal actions for player ${playerId}:`, error);
+            callback({ success: false, message: "Failed to get legal actions." });
+        }
+    });
+
+    /**
+     * Handle an opponent's vote against an idle player: { playerId, choice: "skip" | "kick" }
+     * Only players flagged by the activity monitor can be voted on; a majority of the
+     * other humans still playing decides
+     */
+    socket.on("vote_idle", (data) => {
+        try {
+            const game = games[players[playerId]?.gameId];
+            if (!game || game.status !== "active") {
+                return sendError(socket, "not_in_game", "You are not in a game in progress.");
+            }
+
+            const targetId = data.playerId;
+            if (!getIdleVoters(game, targetId).includes(playerId)) {
+                return sendError(socket, "not_allowed", "Only opponents still in the game can vote.");
+            }
+
+            queueGameCommand(game, () => {
+                const result = activityMonitor.castVote(game.id, playerId, targetId, data.choice, getIdleVoters(game, targetId).length);
+                if (!result.success) {
+                    return sendError(socket, "not_allowed", result.message);
+                }
+
+                io.to(game.id).emit("idle_vote", {
+                    playerId: targetId,
+                    voterId: playerId,
+                    choice: data.choice,
+                    votes: result.votes,
+                    votesNeeded: result.votesNeeded
+                });
+                if (result.outcome) {
+                    resolveIdlePlayer(game, targetId, result.outcome);
+                }
+            });
+        } catch (error) {
+            console.error(`Error handling idle vote from player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to register your vote.");
+        }
+    });
+
+    /**
+     * Send a full snapshot of the game being played or watched, for clients whose
+     * copy fell behind the patches (answered with game_update)
+     */
+    socket.on("request_game_state", () => {
+        try {
+            const playerInfo = players[playerId];
+            const game = games[playerInfo?.gameId || playerInfo?.spectatingGameId];
+            if (!game) {
+                return sendError(socket, "not_in_game", "You are not in a game.");
+            }
+
+            queueGameCommand(game, () => {
+                broadcastGameState(game); // Bring everyone else up to date first
+                sendGameState(socket, "game_update", game);
+            });
+        } catch (error) {
+            console.error(`Error sending game state to player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to load game state.");
+        }
+    });
+
+    // 
+    // CHAT EVENTS
+    // 
+
+    /**
+     * Handle a chat message: { channel: "lobby" | "game", text }
+     * Game messages go to the game's room (players and spectators)
+     */
+    socket.on("chat_message", (data) => {
+        try {
+            const playerInfo = players[playerId];
+            let channelKey;
+
+            if (data?.channel === "lobby") {
+                channelKey = LOBBY_CHANNEL;
+            } else if (data?.channel === "game") {
+                channelKey = playerInfo?.gameId || playerInfo?.spectatingGameId;
+                if (!games[channelKey]) {
+                    return sendError(socket, "not_in_game", "You are not in a game.");
+                }
+                // Eliminated players see the whole board, so they keep quiet until a fog game is over
+                const game = games[channelKey];
+                if (game.rules.fogOfWar && game.status === "active" && game.isPlayerEliminated(playerId)) {
+                    return sendError(socket, "not_allowed", "Eliminated players cannot chat until the game is over.");
+                }
             } else {
-                console.log(`Action ${data.action} failed for player ${socket.id} in game ${gameId}: ${result.message}`);
-                socket.emit("error_message", result.message || "Action failed.");
+                return sendError(socket, "invalid_payload", "Unknown chat channel.");
             }
+
+            if (!chatHistory.tryConsume(socket.data.chatSentAt)) {
+                return sendError(socket, "rate_limited", "You are sending messages too quickly.");
+            }
+
+            const result = chatHistory.addMessage(channelKey, playerId, data.text, {
+                isSpectator: data.channel === "game" && !playerInfo.gameId
+            });
+            if (!result.success) {
+                return sendError(socket, "invalid_message", result.message);
+            }
+
+            io.to(channelKey).emit("chat_message", { channel: data.channel, ...result.chatMessage });
         } catch (error) {
-            console.error(`Error processing game action for player ${socket.id}:`, error);
-            socket.emit("error_message", "Internal server error. Please try again.");
+            console.error(`Error handling chat message from player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to send message.");
         }
     });
 
@@ -429,28 +1790,60 @@ io.on("connection", (socket) => {
     // UTILITY EVENTS
     // 
 
+    /**
+     * Handle leaderboard requests
+     */
+    socket.on("request_leaderboard", () => {
+        try {
+            socket.emit("leaderboard", statsStore.getLeaderboard(LEADERBOARD_SIZE));
+        } catch (error) {
+            console.error(`Error loading leaderboard for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to load leaderboard.");
+        }
+    });
+
     /**
      * Handle lobby data requests
      */
     socket.on("request_lobby_data", () => {
         try {
-            if (players[socket.id] && !players[socket.id].gameId) {
-                const availableGames = Object.values(games)
-                    .filter(game => game.status === "waiting" && game.playerOrder.length < 4)
-                    .map(game => ({ 
-                        id: game.id, 
-                        playerCount: game.playerOrder.length,
-                        maxPlayers: 4
-                    }));
-
-                socket.emit("available_games", availableGames);
+            if (players[playerId] && !players[playerId].gameId) {
+                socket.emit("available_games", getLobbyGameList());
                 socket.emit("stats_update", {
                     globalStats: globalGameStats,
-                    playerStats: { wins: players[socket.id].wins, losses: players[socket.id].losses }
+                    playerStats: statsStore.getPlayerStats(playerId)
                 });
             }
         } catch (error) {
-            console.error(`Error handling lobby data request for player ${socket.id}:`, error);
+            console.error(`Error handling lobby data request for player ${playerId}:`, error);
+        }
+    });
+
+    /**
+     * Handle request for the list of recent replays
+     */
+    socket.on("request_replays", () => {
+        try {
+            socket.emit("replay_list", replayStore.listReplays());
+        } catch (error) {
+            console.error(`Error listing replays for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to load replays.");
+        }
+    });
+
+    /**
+     * Handle request for a finished game's replay (replays of private games only go to their players)
+     */
+    socket.on("request_replay", async (gameId) => {
+        try {
+            const replay = await replayStore.getReplay(gameId);
+            if (!replay || !canViewReplay(replay, playerId)) {
+                return sendError(socket, "replay_not_found", "Replay not found.");
+            }
+            socket.emit("replay_data", replay);
+        } catch (error) {
+            console.error(`Error loading replay ${gameId} for player ${playerId}:`, error);
+            sendError(socket, "internal_error", "Failed to load replay.");
         }
     });
 
@@ -460,71 +1853,159 @@ io.on("connection", (socket) => {
 
     /**
      * Handle player disconnection
+     * Players in an active game keep their seat for RECONNECT_GRACE_PERIOD_MS
      */
-    socket.on("disconnect", () => {
+    socket.on("disconnect", (reason) => {
         try {
-            console.log(`Player disconnected: ${socket.id}`);
-            const playerInfo = players[socket.id];
+            console.log(`Player disconnected: ${playerId} (socket ${socket.id}, ${reason})`);
+            const playerInfo = players[playerId];
             
-            if (!playerInfo) return;
-
-            const gameId = playerInfo.gameId;
-            if (gameId && games[gameId]) {
-                const game = games[gameId];
-                const wasActive = game.status === "active";
-
-                game.removePlayer(socket.id);
-                console.log(`Player ${socket.id} removed from game ${gameId} due to disconnect.`);
-
-                if (game.playerOrder.length === 0) {
-                    console.log(`Game ${gameId} is empty, deleting.`);
-                    delete games[gameId];
-                } else {
-                    io.to(gameId).emit("game_update", game.getState());
-                    if (game.status === "finished" && wasActive) {
-                        console.log(`Game ${gameId} ended due to player disconnect.`);
+            // Ignore sockets that were already replaced by a newer connection
+            if (!playerInfo || playerInfo.socketId !== socket.id) return;
+
+            playerInfo.socketId = null;
+            playerInfo.disconnectedAt = Date.now();
+
+            const game = games[playerInfo.gameId];
+            if (game && game.status === "active" && !game.isPlayerEliminated(playerId)) {
+                // Hold the seat and skip the player's turns until they reconnect
+                queueGameCommand(game, () => {
+                    if (game.status !== "active") return; // Ended while the command waited
+                    game.markPlayerDisconnected(playerId);
+                    broadcastGameState(game);
+                    if (game.status === "finished") {
                         handleGameOver(game);
+                    } else {
+                        scheduleGameTimers(game);
                     }
-                }
-                broadcastGameList();
-            }
+                });
 
-            delete players[socket.id];
+                reconnectTimers[playerId] = setTimeout(
+                    () => releaseDisconnectedPlayer(playerId),
+                    RECONNECT_GRACE_PERIOD_MS
+                );
+                console.log(`Holding seat for player ${playerId} in game ${game.id} for ${RECONNECT_GRACE_PERIOD_MS}ms`);
+            } else {
+                removePlayerFromGame(playerId);
+                delete players[playerId];
+            }
 
             // Update global connection count
-            safeStatsUpdate(() => {
-                globalGameStats.totalPlayersConnected = Object.keys(players).length;
+            queueStatsUpdate(() => {
+                globalGameStats.totalPlayersConnected = countConnectedPlayers();
             });
         } catch (error) {
-            console.error(`Error handling disconnect for player ${socket.id}:`, error);
+            console.error(`Error handling disconnect for player ${playerId}:`, error);
         }
     });
 });
 
+// 
+// GAME SNAPSHOTS
+// 
+
+/**
+ * Save every active game to the snapshot store (waiting lobbies and finished games are not kept)
+ */
+function snapshotActiveGames() {
+    try {
+        const snapshots = Object.values(games)
+            .filter(game => game.status === "active")
+            .map(game => game.toJSON());
+        gameSnapshotStore.saveGames(snapshots);
+    } catch (error) {
+        console.error("Error taking game snapshots:", error);
+    }
+}
+
+/**
+ * Restore the games saved before the last shutdown. Their human players are treated as
+ * just disconnected: seats are held for the reconnect grace period (the turn stays with
+ * the current player) and they rejoin by reconnecting with their session token.
+ */
+function restoreGames() {
+    for (const snapshot of gameSnapshotStore.loadGames()) {
+        try {
+            const game = Game.fromJSON(snapshot);
+            if (game.status !== "active" || games[game.id]) continue;
+            games[game.id] = game;
+
+            for (const [pid, player] of Object.entries(game.players)) {
+                if (player.isBot) {
+                    bots[pid] = new Bot(pid, player.botDifficulty);
+                } else if (!game.isPlayerEliminated(pid) && !players[pid]) {
+                    players[pid] = {
+                        id: pid,
+                        socketId: null,
+                        gameId: game.id,
+                        spectatingGameId: null,
+                        lastActivity: Date.now(),
+                        lastTurnActionAt: Date.now(),
+                        disconnectedAt: Date.now(),
+                        recentActions: new Map()
+                    };
+                    game.markPlayerDisconnected(pid, { keepTurn: true });
+                    reconnectTimers[pid] = setTimeout(
+                        () => releaseDisconnectedPlayer(pid),
+                        RECONNECT_GRACE_PERIOD_MS
+                    );
+                }
+            }
+
+            scheduleGameTimers(game);
+            console.log(`Restored game ${game.id} (round ${game.round}, ${game.playerOrder.length} players)`);
+        } catch (error) {
+            console.error(`Failed to restore game ${snapshot?.id}:`, error);
+        }
+    }
+}
+
 // 
 // SERVER STARTUP
 // 
 
+restoreGames();
+setInterval(snapshotActiveGames, GAME_SNAPSHOT_INTERVAL_MS).unref();
+setInterval(checkActivity, ACTIVITY_CHECK_INTERVAL_MS).unref();
+
 server.listen(PORT, "0.0.0.0", () => {
     console.log(`Monster Mayhem server listening on port ${PORT}`);
     console.log(`Server started at ${new Date().toISOString()}`);
     console.log("Ready to accept connections...");
 });
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully...');
-    server.close(() => {
-        console.log('Server closed.');
-        process.exit(0);
-    });
-});
+/**
+ * Graceful shutdown: stop accepting game commands, disconnect every client, let the
+ * commands already queued finish, then save the active games and close the stores.
+ * The process exits anyway after SHUTDOWN_TIMEOUT_MS.
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, shutting down gracefully...`);
 
-process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully...');
-    server.close(() => {
-        console.log('Server closed.');
-        process.exit(0);
+    setTimeout(() => {
+        console.error(`Shutdown did not finish within ${SHUTDOWN_TIMEOUT_MS}ms, exiting.`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    // Closes every Socket.IO connection and then the HTTP server
+    io.close(async () => {
+        try {
+            await Promise.all([statsQueue, ...Object.values(gameQueues)].map(queue => queue.tail));
+            snapshotActiveGames();
+            statsStore.close();
+            await replayStore.close();
+            console.log('Server closed.');
+            process.exit(0);
+        } catch (error) {
+            console.error("Error during shutdown:", error);
+            process.exit(1);
+        }
     });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
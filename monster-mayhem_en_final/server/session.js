@@ -0,0 +1,60 @@
+const crypto = require("crypto");
+
+/**
+ * Player Session Tokens
+ *
+ * Gives each player a stable identity that survives page refreshes and reconnects.
+ * The browser keeps a signed token of the form "<playerId>.<signature>" and sends it
+ * in the Socket.IO handshake; the server maps the verified player ID onto whichever
+ * socket is currently live.
+ *
+ * Tokens are signed with HMAC-SHA256 using SESSION_SECRET. Without a configured secret
+ * a random one is generated, so tokens only stay valid until the server restarts.
+ */
+
+let secret = process.env.SESSION_SECRET;
+if (!secret) {
+    console.warn("SESSION_SECRET not set - using a random secret, sessions will not survive a restart.");
+    secret = crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * Compute the signature for a player ID
+ * @param {string} playerId - Player ID to sign
+ * @returns {string} Base64url encoded HMAC signature
+ */
+function sign(playerId) {
+    return crypto.createHmac("sha256", secret).update(playerId).digest("base64url");
+}
+
+/**
+ * Create a signed session token for a player
+ * @param {string} playerId - Stable player ID
+ * @returns {string} Session token
+ */
+function createSessionToken(playerId) {
+    return `${playerId}.${sign(playerId)}`;
+}
+
+/**
+ * Verify a session token and extract the player ID
+ * @param {string} token - Session token sent by the client
+ * @returns {string|null} Player ID if the token is valid, otherwise null
+ */
+function verifySessionToken(token) {
+    if (typeof token !== "string") return null;
+
+    const separatorIndex = token.lastIndexOf(".");
+    if (separatorIndex <= 0) return null;
+
+    const playerId = token.substring(0, separatorIndex);
+    const expected = Buffer.from(sign(playerId));
+    const actual = Buffer.from(token.substring(separatorIndex + 1));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return playerId;
+}
+
+module.exports = { createSessionToken, verifySessionToken };
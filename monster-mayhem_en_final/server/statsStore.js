@@ -0,0 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const { INITIAL_RATING } = require("./rating");
+
+/**
+ * Player Statistics Storage
+ *
+ * Pluggable persistence layer for per-player wins/losses and global game stats.
+ * All adapters expose the same synchronous interface so the socket handlers stay simple:
+ * - getPlayerStats(playerId)        -> { wins, losses, rating, ratedGames }
+ * - recordResult(playerId, won)     -> updated player stats
+ * - updateRating(playerId, rating)  -> updated player stats (counts one more rated game)
+ * - getLeaderboard(limit)           -> rated players, best rating first
+ * - getGlobalStats()                -> { totalGamesPlayed }
+ * - incrementGamesPlayed()          -> new totalGamesPlayed
+ * - close()                         -> flush pending writes (call on shutdown)
+ */
+
+/**
+ * In-memory adapter - stats are lost when the server restarts
+ */
+class MemoryStatsStore {
+    constructor(initialData = {}) {
+        this.players = initialData.players || {}; // { playerId: { wins, losses, rating, ratedGames } }
+        this.global = { totalGamesPlayed: 0, ...initialData.global };
+    }
+
+    /**
+     * Get a player's statistics
+     * @param {string} playerId - Stable player ID
+     * @returns {Object} Player stats { wins, losses, rating, ratedGames }
+     */
+    getPlayerStats(playerId) {
+        const stats = this.players[playerId];
+        return {
+            wins: stats?.wins || 0,
+            losses: stats?.losses || 0,
+            rating: stats?.rating ?? INITIAL_RATING,
+            ratedGames: stats?.ratedGames || 0
+        };
+    }
+
+    /**
+     * Record a finished game for a player
+     * @param {string} playerId - Stable player ID
+     * @param {boolean} won - True if the player won the game
+     * @returns {Object} Updated player stats
+     */
+    recordResult(playerId, won) {
+        const stats = this.getPlayerStats(playerId);
+        if (won) {
+            stats.wins++;
+        } else {
+            stats.losses++;
+        }
+        this.players[playerId] = stats;
+        this.onChange();
+        return { ...stats };
+    }
+
+    /**
+     * Store a player's new rating after a rated game
+     * @param {string} playerId - Stable player ID
+     * @param {number} rating - New rating
+     * @returns {Object} Updated player stats
+     */
+    updateRating(playerId, rating) {
+        const stats = this.getPlayerStats(playerId);
+        stats.rating = rating;
+        stats.ratedGames++;
+        this.players[playerId] = stats;
+        this.onChange();
+        return { ...stats };
+    }
+
+    /**
+     * Get the best rated players
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array} [{ playerId, rating, ratedGames, wins, losses }] best rating first
+     */
+    getLeaderboard(limit = 10) {
+        return Object.keys(this.players)
+            .map(playerId => ({ playerId, ...this.getPlayerStats(playerId) }))
+            .filter(entry => entry.ratedGames > 0)
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get global statistics
+     * @returns {Object} Global stats { totalGamesPlayed }
+     */
+    getGlobalStats() {
+        return { ...this.global };
+    }
+
+    /**
+     * Count one more finished game
+     * @returns {number} New total of games played
+     */
+    incrementGamesPlayed() {
+        this.global.totalGamesPlayed++;
+        this.onChange();
+        return this.global.totalGamesPlayed;
+    }
+
+    /**
+     * Hook called after every change (overridden by persistent adapters)
+     */
+    onChange() {}
+
+    /**
+     * Flush pending writes before shutdown
+     */
+    close() {}
+}
+
+/**
+ * JSON file adapter - keeps stats in memory and writes them to disk after each change.
+ * Writes are debounced and go through a temporary file + rename so a crash mid-write
+ * never leaves a truncated stats file behind.
+ */
+class FileStatsStore extends MemoryStatsStore {
+    constructor(filePath, writeDelayMs = 500) {
+        super(FileStatsStore.load(filePath));
+        this.filePath = filePath;
+        this.writeDelayMs = writeDelayMs;
+        this.writeTimer = null;
+    }
+
+    /**
+     * Read previously saved stats from disk
+     * @param {string} filePath - Path of the stats file
+     * @returns {Object} Saved data, or an empty object if there is none
+     */
+    static load(filePath) {
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+            console.log(`Loaded player statistics from ${filePath}`);
+            return data;
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                console.error(`Could not read statistics file ${filePath}, starting empty:`, error);
+            }
+            return {};
+        }
+    }
+
+    onChange() {
+        if (this.writeTimer) return; // Write already scheduled
+        this.writeTimer = setTimeout(() => this.flush(), this.writeDelayMs);
+    }
+
+    /**
+     * Write the current stats to disk immediately
+     */
+    flush() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ players: this.players, global: this.global }, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`Failed to write statistics file ${this.filePath}:`, error);
+        }
+    }
+
+    close() {
+        if (this.writeTimer) {
+            this.flush();
+        }
+    }
+}
+
+/**
+ * Create the stats store selected by configuration
+ * @param {Object} options - { type: "memory" | "file", filePath }
+ * @returns {MemoryStatsStore} Stats store instance
+ */
+function createStatsStore({ type = "file", filePath } = {}) {
+    switch (type) {
+        case "memory":
+            return new MemoryStatsStore();
+        case "file":
+            return new FileStatsStore(filePath || path.join(__dirname, "data", "stats.json"));
+        default:
+            throw new Error(`Unknown stats store type: ${type}`);
+    }
+}
+
+module.exports = { MemoryStatsStore, FileStatsStore, createStatsStore };
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Bot = require("../bot");
+const Game = require("../game");
+const RuleSet = require("../ruleSet");
+const SeededRandom = require("../random");
+
+/**
+ * Start a game between a medium bot and a human, with a werewolf of the human's in the
+ * middle of the board
+ * @param {Object} ruleOptions - RuleSet options
+ * @returns {Object} { game, bot, board }
+ */
+function setUp(ruleOptions) {
+    const game = new Game("game-1", "alice", new RuleSet({ boardSize: 10, ...ruleOptions }), { rng: new SeededRandom(3) });
+    game.addPlayer("bot-1", { botDifficulty: "medium" });
+    game.setPlayerReady("alice", true);
+    assert.equal(game.startGame(), true);
+
+    const werewolf = { id: "werewolf-1", type: "werewolf", x: 5, y: 5, owner: "alice" };
+    game.players.alice.monsters.push(werewolf);
+    game.board[5][5] = werewolf;
+
+    const bot = new Bot("bot-1", "medium");
+    return { game, bot, board: game.getBoardFor(bot.id) };
+}
+
+test("the medium bot sees every enemy without fog of war", () => {
+    const { game, bot, board } = setUp({ fogOfWar: false });
+
+    assert.equal(bot.getEnemyMonsters(board).length, 1);
+    assert.equal(bot.threatAt(game, board, "ghost", 5, 3), 1);
+    assert.equal(bot.threatAt(game, board, "vampire", 5, 3), 0);
+});
+
+test("the medium bot does not see through the fog", () => {
+    const { game, bot, board } = setUp({ fogOfWar: true, visionRadius: 1 });
+
+    assert.deepEqual(bot.getEnemyMonsters(board), []);
+    assert.equal(bot.threatAt(game, board, "ghost", 5, 3), 0);
+});
+
+test("the medium bot treats an enemy of unknown type as a threat", () => {
+    // In sight of the lookout but not next to it, so its type stays hidden
+    const { game, bot } = setUp({ fogOfWar: true, visionRadius: 2 });
+    const lookout = { id: "vampire-1", type: "vampire", x: 5, y: 3, owner: "bot-1" };
+    game.players["bot-1"].monsters.push(lookout);
+    game.board[3][5] = lookout;
+
+    const board = game.getBoardFor(bot.id);
+    const [enemy] = bot.getEnemyMonsters(board);
+    assert.equal(enemy.type, null);
+    assert.equal(bot.threatAt(game, board, "vampire", 5, 4), 1);
+});
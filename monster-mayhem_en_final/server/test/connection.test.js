@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const net = require("node:net");
+const path = require("node:path");
+const { io } = require("socket.io-client");
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>} Free port
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once("error", reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start the game server in a child process with in-memory stores
+ * @returns {Promise<Object>} { url, child, output() }
+ */
+async function startServer() {
+    const port = await getFreePort();
+    const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            SESSION_SECRET: "connection-test",
+            STATS_STORE: "memory",
+            REPLAY_STORE: "memory",
+            GAME_SNAPSHOT_STORE: "memory"
+        },
+        stdio: ["ignore", "pipe", "pipe"]
+    });
+
+    let output = "";
+    child.stdout.on("data", chunk => { output += chunk; });
+    child.stderr.on("data", chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const onData = () => {
+            if (output.includes("Ready to accept connections")) {
+                child.stdout.off("data", onData);
+                resolve();
+            }
+        };
+        child.stdout.on("data", onData);
+        child.once("exit", code => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+    });
+    return { url: `http://localhost:${port}`, child, output: () => output };
+}
+
+const once = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+const connect = (url, token) => io(url, { auth: token ? { token } : {}, reconnection: false, forceNew: true });
+
+test("opening the same session in a second window", { timeout: 30000 }, async (t) => {
+    const server = await startServer();
+    const sockets = [];
+    t.after(() => {
+        sockets.forEach(socket => socket.disconnect());
+        server.child.kill();
+    });
+    const open = (token) => {
+        const socket = connect(server.url, token);
+        sockets.push(socket);
+        return socket;
+    };
+
+    await t.test("keeps a player in the lobby connected", async () => {
+        const first = open();
+        const { sessionToken, playerId } = await once(first, "initial_data");
+
+        const firstClosed = once(first, "disconnect");
+        const second = open(sessionToken);
+        const data = await once(second, "initial_data");
+        await firstClosed;
+
+        assert.equal(data.playerId, playerId);
+        assert.equal(server.child.exitCode, null, server.output());
+
+        // The new window works
+        second.emit("request_lobby_data");
+        assert.ok(Array.isArray(await once(second, "available_games")));
+    });
+
+    await t.test("keeps a player's seat in a waiting game", async () => {
+        const first = open();
+        const { sessionToken, playerId } = await once(first, "initial_data");
+        first.emit("create_game", {});
+        const game = await once(first, "game_joined");
+
+        const second = open(sessionToken);
+        const [data, joined] = await Promise.all([once(second, "initial_data"), once(second, "game_joined")]);
+
+        assert.equal(data.gameId, game.id);
+        assert.deepEqual(joined.playerOrder, [playerId]);
+        assert.equal(server.child.exitCode, null, server.output());
+    });
+
+    await t.test("keeps the turn of a player in an active game", async () => {
+        const host = open();
+        const guest = open();
+        const [hostData, guestData] = await Promise.all([once(host, "initial_data"), once(guest, "initial_data")]);
+        host.emit("create_game", {});
+        const game = await once(host, "game_joined");
+        guest.emit("join_game", game.id);
+        await once(guest, "game_joined");
+        for (const player of [host, guest]) {
+            player.emit("set_ready", { ready: true });
+            await once(host, "game_patch");
+        }
+        host.emit("start_game");
+        const [started] = await Promise.all([once(host, "game_started"), once(guest, "game_started")]);
+
+        // Reopen the session of the player whose turn it is
+        const current = started.currentPlayerId === hostData.playerId ? hostData : guestData;
+        const second = open(current.sessionToken);
+        const joined = await once(second, "game_joined");
+
+        assert.equal(joined.currentPlayerId, current.playerId);
+        assert.equal(joined.players[current.playerId].isConnected, true);
+
+        const result = await new Promise(resolve => second.emit("game_action",
+            { action: "end_turn", version: joined.version, requestId: "second-window-end-turn" }, resolve));
+        assert.equal(result.ok, true, result.message);
+    });
+});
+
+test("handler rejections carry an error code", { timeout: 30000 }, async (t) => {
+    const server = await startServer();
+    const socket = connect(server.url);
+    t.after(() => {
+        socket.disconnect();
+        server.child.kill();
+    });
+    await once(socket, "initial_data");
+
+    socket.emit("join_game", "3f2b8c1e-9d4a-4e6b-8a7c-1b2d3e4f5a6b");
+    assert.deepEqual(await once(socket, "error_message"), { code: "game_not_found", message: "Game not found." });
+
+    socket.emit("start_game");
+    assert.deepEqual(await once(socket, "error_message"), { code: "not_in_game", message: "You are not in a game." });
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EVENT_SCHEMAS, validateEvent } = require("../eventSchemas");
+
+const GAME_ID = "3f2b8c1e-9d4a-4e6b-8a7c-1b2d3e4f5a6b";
+const ack = () => {};
+
+test("accepts a valid event", () => {
+    assert.deepEqual(validateEvent("join_game", [GAME_ID]), { success: true });
+    assert.deepEqual(validateEvent("start_game", []), { success: true });
+});
+
+test("accepts an acknowledgement callback only where the event takes one", () => {
+    assert.equal(validateEvent("get_legal_actions", [ack]).success, true);
+
+    const result = validateEvent("start_game", [ack]);
+    assert.equal(result.success, false);
+    assert.equal(result.code, "invalid_payload");
+});
+
+test("rejects unknown events", () => {
+    const result = validateEvent("drop_database", []);
+    assert.equal(result.success, false);
+    assert.equal(result.code, "unknown_event");
+});
+
+test("rejects inherited property names as unknown events", () => {
+    for (const event of ["constructor", "toString", "__proto__", "hasOwnProperty", "valueOf"]) {
+        const result = validateEvent(event, [{}]);
+        assert.equal(result.success, false, event);
+        assert.equal(result.code, "unknown_event", event);
+    }
+});
+
+test("rejects extra arguments", () => {
+    const result = validateEvent("join_game", [GAME_ID, "extra"]);
+    assert.equal(result.success, false);
+    assert.equal(result.code, "invalid_payload");
+
+    assert.equal(validateEvent("start_game", [1]).success, false);
+    assert.equal(validateEvent("get_legal_actions", [1, ack]).success, false);
+});
+
+test("rejects missing and mistyped arguments", () => {
+    assert.equal(validateEvent("join_game", []).success, false);
+    assert.equal(validateEvent("join_game", [42]).success, false);
+    assert.equal(validateEvent("join_game", ["not-a-uuid"]).success, false);
+    assert.equal(validateEvent("set_ready", [{ ready: "yes" }]).success, false);
+    assert.equal(validateEvent("set_ready", [[true]]).success, false);
+});
+
+test("checks nested objects and optional fields", () => {
+    assert.equal(validateEvent("create_game", []).success, true);
+    assert.equal(validateEvent("create_game", [{ rules: null, isPrivate: true }]).success, true);
+    assert.equal(validateEvent("create_game", [{ rules: { boardSize: 10, fogOfWar: true } }]).success, true);
+    assert.equal(validateEvent("create_game", [{ rules: { boardSize: 10.5 } }]).success, false);
+    assert.equal(validateEvent("create_game", [{ isPrivate: null }]).success, false);
+});
+
+test("rejects undeclared keys, including prototype keys", () => {
+    assert.equal(validateEvent("set_ready", [{ ready: true, admin: true }]).success, false);
+
+    for (const key of ["constructor", "toString", "__proto__"]) {
+        const payload = JSON.parse(`{ "ready": true, "${key}": {} }`);
+        const result = validateEvent("set_ready", [payload]);
+        assert.equal(result.success, false, key);
+        assert.equal(result.code, "invalid_payload", key);
+    }
+});
+
+test("only turn actions count against idling", () => {
+    const turnEvents = Object.keys(EVENT_SCHEMAS).filter(event => EVENT_SCHEMAS[event].activity === "turn");
+    assert.deepEqual(turnEvents, ["game_action"]);
+    assert.equal(EVENT_SCHEMAS.chat_message.activity, undefined);
+});
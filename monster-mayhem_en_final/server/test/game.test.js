@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Game = require("../game");
+const RuleSet = require("../ruleSet");
+const SeededRandom = require("../random");
+const Bot = require("../bot");
+
+/**
+ * Start a game between the given players (bot IDs start with "bot-")
+ * @param {Array} playerIds - Players in joining order, the first one creates the game
+ * @param {Object} options - { seed, rules, gameId }
+ * @returns {Game} Active game
+ */
+function startGame(playerIds, { seed = 1, rules = new RuleSet(), gameId = "game-1" } = {}) {
+    const game = new Game(gameId, playerIds[0], rules, { rng: new SeededRandom(seed) });
+    playerIds.slice(1).forEach(pid => {
+        game.addPlayer(pid, { botDifficulty: pid.startsWith("bot-") ? "medium" : null });
+    });
+    playerIds.forEach(pid => game.setPlayerReady(pid, true));
+    assert.equal(game.startGame(), true);
+    return game;
+}
+
+/**
+ * Let bots make every player's decisions for a number of actions
+ * @param {Game} game - Active game
+ * @param {number} actions - Actions to play at most
+ */
+function playWithBots(game, actions) {
+    const deciders = Object.fromEntries(game.playerOrder.map(pid => [pid, new Bot(pid, "medium")]));
+
+    for (let i = 0; i < actions && game.status === "active"; i++) {
+        const playerId = game.getCurrentPlayer();
+        const action = deciders[playerId].nextAction(game);
+        const result = action.action === "place_monster"
+            ? game.placeMonster(playerId, action.type, action.x, action.y)
+            : action.action === "move_monster"
+                ? game.moveMonster(playerId, action.monsterId, action.newX, action.newY)
+                : game.endTurn(playerId);
+        assert.equal(result.success, true, result.message);
+    }
+}
+
+/**
+ * Event log of a game without the wall-clock timestamps
+ * @param {Game} game - Game to read
+ * @returns {Array} Events
+ */
+function eventsOf(game) {
+    return game.getReplay().events.map(({ timestamp, ...event }) => event);
+}
+
+test("disconnected players are skipped while a human is still connected", () => {
+    const game = startGame(["alice", "bob", "bot-1"]);
+    game.markPlayerDisconnected("bob", { keepTurn: true });
+    if (game.getCurrentPlayer() === "bob") game.endTurn("bob");
+
+    for (let turn = 0; turn < 6; turn++) {
+        assert.notEqual(game.getCurrentPlayer(), "bob");
+        game.endTurn(game.getCurrentPlayer());
+    }
+});
+
+test("with no human connected the game waits for the disconnected human", () => {
+    const game = startGame(["alice", "bot-1"]);
+    game.markPlayerDisconnected("alice", { keepTurn: true });
+    if (game.getCurrentPlayer() === "alice") game.endTurn("alice");
+
+    // The bot plays out the round (and may open the next one) before alice is up again
+    assert.equal(game.getCurrentPlayer(), "bot-1");
+    for (let turn = 0; turn < 2 && game.getCurrentPlayer() === "bot-1"; turn++) {
+        game.endTurn("bot-1");
+    }
+    assert.equal(game.getCurrentPlayer(), "alice");
+    assert.equal(game.status, "active");
+});
+
+test("the same seed and the same actions give the same game", () => {
+    const play = (gameId) => {
+        const game = startGame(["alice", "bob", "bot-1"], { seed: 42, gameId });
+        playWithBots(game, 150);
+        return game;
+    };
+    const first = play("game-1");
+    const second = play("game-2");
+
+    assert.ok(first.round > 3);
+    assert.deepEqual(eventsOf(second), eventsOf(first));
+    assert.deepEqual(
+        second.playerOrder.map(pid => second.players[pid].monsters.map(m => m.id)),
+        first.playerOrder.map(pid => first.players[pid].monsters.map(m => m.id))
+    );
+});
+
+test("a different seed gives a different game", () => {
+    const first = startGame(["alice", "bob", "bot-1"], { seed: 42 });
+    const second = startGame(["alice", "bob", "bot-1"], { seed: 43 });
+    playWithBots(first, 30);
+    playWithBots(second, 30);
+
+    assert.notDeepEqual(eventsOf(second), eventsOf(first));
+});
+
+test("a game snapshot round-trips through JSON", (t) => {
+    // Freeze the clock so the saved turn time matches
+    t.mock.method(Date, "now", () => 1700000000000);
+    const game = startGame(["alice", "bob", "bot-1"], { seed: 7 });
+    playWithBots(game, 60);
+
+    const snapshot = game.toJSON();
+    const restored = Game.fromJSON(JSON.parse(JSON.stringify(snapshot)));
+    assert.deepEqual(restored.toJSON(), snapshot);
+
+    // The board holds the very monsters of the players' lists
+    const monsters = restored.playerOrder.flatMap(pid => restored.players[pid].monsters);
+    assert.ok(monsters.length > 0);
+    for (const monster of monsters) {
+        assert.equal(restored.board[monster.y][monster.x], monster);
+    }
+    assert.equal(restored.board.flat().filter(Boolean).length, monsters.length);
+
+    // And it plays on exactly like the original
+    playWithBots(game, 60);
+    playWithBots(restored, 60);
+    assert.deepEqual(eventsOf(restored), eventsOf(game));
+    assert.deepEqual(restored.toJSON(), game.toJSON());
+});
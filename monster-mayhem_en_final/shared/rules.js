@@ -0,0 +1,179 @@
+/**
+ * Monster Mayhem Rules Engine
+ *
+ * Pure placement and movement validation shared by the server and the browser.
+ * The Node server requires this file (Game, Bot) and Express serves the very same
+ * file to the client as /shared/rules.js, where it is exposed as `window.MonsterRules`,
+ * so the squares highlighted on the board are exactly the moves the server accepts.
+ *
+ * Every function works on plain data only:
+ * - board: 2D array [y][x] of null or { id, type, x, y, owner }
+ * - rules: rule set values ({ boardSize, diagonalRange, ... }, see server/ruleSet.js)
+ */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(); // Node (CommonJS)
+    } else {
+        root.MonsterRules = factory(); // Browser global
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    const MONSTER_TYPES = ["vampire", "werewolf", "ghost"];
+
+    // Which type each monster defeats
+    const BEATS = {
+        vampire: "werewolf",
+        werewolf: "ghost",
+        ghost: "vampire"
+    };
+
+    /**
+     * Check that coordinates are on the board
+     * @param {Object} rules - Rule set values
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if inside the board
+     */
+    function isInBounds(rules, x, y) {
+        return Number.isInteger(x) && Number.isInteger(y) &&
+            x >= 0 && x < rules.boardSize && y >= 0 && y < rules.boardSize;
+    }
+
+    /**
+     * Check if a square lies on a given edge
+     * @param {Object} rules - Rule set values
+     * @param {string} edge - top, bottom, left or right
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the square is on that edge
+     */
+    function isOnEdge(rules, edge, x, y) {
+        const last = rules.boardSize - 1;
+        switch (edge) {
+            case "top": return y === 0;
+            case "bottom": return y === last;
+            case "left": return x === 0;
+            case "right": return x === last;
+            default: return false;
+        }
+    }
+
+    /**
+     * Check if a monster may be placed on a square
+     * @param {Array} board - Board state
+     * @param {Object} rules - Rule set values
+     * @param {string} edge - Edge owned by the placing player
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if placement is valid (on the player's edge and empty)
+     */
+    function isValidPlacement(board, rules, edge, x, y) {
+        if (!isInBounds(rules, x, y)) return false; // Out of bounds
+        if (board[y][x] !== null) return false; // Square occupied
+        return isOnEdge(rules, edge, x, y);
+    }
+
+    /**
+     * Check if a monster may move to a square
+     * @param {Array} board - Board state
+     * @param {Object} rules - Rule set values
+     * @param {string} playerId - Player attempting the move
+     * @param {Object} monster - Monster to move ({ x, y })
+     * @param {number} newX - Target X coordinate
+     * @param {number} newY - Target Y coordinate
+     * @returns {boolean} True if move is valid
+     */
+    function isValidMove(board, rules, playerId, monster, newX, newY) {
+        if (!isInBounds(rules, newX, newY)) return false; // Out of bounds
+
+        const dx = Math.abs(newX - monster.x);
+        const dy = Math.abs(newY - monster.y);
+
+        // Check movement type
+        const isDiagonal = dx > 0 && dy > 0;
+        const isStraight = (dx > 0 && dy === 0) || (dx === 0 && dy > 0);
+
+        if (!isStraight && !isDiagonal) return false; // No movement
+        if (isDiagonal && (dx > rules.diagonalRange || dy > rules.diagonalRange)) return false; // Diagonal range limit
+
+        const stepX = Math.sign(newX - monster.x);
+        const stepY = Math.sign(newY - monster.y);
+
+        // Check each step in the path
+        let currentX = monster.x;
+        let currentY = monster.y;
+
+        while (currentX !== newX || currentY !== newY) {
+            // Move one step towards destination
+            if (currentX !== newX) currentX += stepX;
+            if (currentY !== newY) currentY += stepY;
+
+            if (!isInBounds(rules, currentX, currentY)) {
+                return false;
+            }
+
+            const squareContent = board[currentY][currentX];
+
+            if (currentX === newX && currentY === newY) {
+                // Final destination: can land on empty square or opponent's monster (for combat)
+                return !squareContent || squareContent.owner !== playerId;
+            }
+
+            // Intermediate squares: can pass over own monsters, but not opponents'
+            if (squareContent && squareContent.owner !== playerId) {
+                return false; // Path blocked by opponent
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * List every square where a player may place a monster
+     * @param {Array} board - Board state
+     * @param {Object} rules - Rule set values
+     * @param {string} edge - Edge owned by the player
+     * @returns {Array} Array of {x, y} positions
+     */
+    function getValidPlacements(board, rules, edge) {
+        const positions = [];
+        for (let y = 0; y < rules.boardSize; y++) {
+            for (let x = 0; x < rules.boardSize; x++) {
+                if (isValidPlacement(board, rules, edge, x, y)) {
+                    positions.push({ x, y });
+                }
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * List every square a monster may move to
+     * @param {Array} board - Board state
+     * @param {Object} rules - Rule set values
+     * @param {string} playerId - Owner of the monster
+     * @param {Object} monster - Monster to move ({ x, y })
+     * @returns {Array} Array of {x, y} positions
+     */
+    function getValidMoves(board, rules, playerId, monster) {
+        const positions = [];
+        for (let y = 0; y < rules.boardSize; y++) {
+            for (let x = 0; x < rules.boardSize; x++) {
+                if (isValidMove(board, rules, playerId, monster, x, y)) {
+                    positions.push({ x, y });
+                }
+            }
+        }
+        return positions;
+    }
+
+    return {
+        MONSTER_TYPES,
+        BEATS,
+        isInBounds,
+        isOnEdge,
+        isValidPlacement,
+        isValidMove,
+        getValidPlacements,
+        getValidMoves
+    };
+});
@@ -0,0 +1,148 @@
+/**
+ * Monster Mayhem State Patches
+ *
+ * Incremental game state updates shared by the server and the browser. After each
+ * change the server diffs the new game state against the last state it broadcast and
+ * sends only what differs; the client applies the patch to its copy in place. Express
+ * serves this file as /shared/statePatch.js, exposed as `window.MonsterStatePatch`.
+ *
+ * A patch is { gameId, baseVersion, version, changes } where changes may contain:
+ * - cells: [{ x, y, monster }] board squares whose content changed (monster may be null)
+ * - board: the whole board, only when there is no previous board of the same size
+ * - players: { playerId: { changed fields } } (a full record for new players, null for removed ones)
+ * - any other top-level state key (currentPlayerId, round, status, turnActions, ...) that changed
+ *
+ * A patch only applies to a state at exactly `baseVersion`; clients that are behind
+ * ask the server for a full snapshot instead.
+ */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(); // Node (CommonJS)
+    } else {
+        root.MonsterStatePatch = factory(); // Browser global
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    // Keys handled separately from the generic comparison
+    const SPECIAL_KEYS = ["version", "board", "players"];
+
+    /**
+     * Compare two JSON-compatible values
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if both serialize the same
+     */
+    function isSame(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * List the board squares whose content differs
+     * @param {Array} prevBoard - Previous board ([y][x])
+     * @param {Array} nextBoard - New board ([y][x])
+     * @returns {Array|null} [{ x, y, monster }], or null if the boards cannot be compared cell by cell
+     */
+    function diffBoard(prevBoard, nextBoard) {
+        if (!prevBoard || prevBoard.length !== nextBoard.length) return null;
+
+        const cells = [];
+        nextBoard.forEach((row, y) => {
+            row.forEach((monster, x) => {
+                if (!isSame(prevBoard[y][x], monster)) {
+                    cells.push({ x, y, monster });
+                }
+            });
+        });
+        return cells;
+    }
+
+    /**
+     * Describe the per-player differences
+     * @param {Object} prevPlayers - Previous { playerId: player }
+     * @param {Object} nextPlayers - New { playerId: player }
+     * @returns {Object} { playerId: changed fields | full record | null }, empty if nothing changed
+     */
+    function diffPlayers(prevPlayers = {}, nextPlayers = {}) {
+        const changes = {};
+
+        Object.entries(nextPlayers).forEach(([playerId, player]) => {
+            const previous = prevPlayers[playerId];
+            if (!previous) {
+                changes[playerId] = player;
+                return;
+            }
+
+            const fields = {};
+            Object.keys(player).forEach(key => {
+                if (!isSame(previous[key], player[key])) fields[key] = player[key];
+            });
+            if (Object.keys(fields).length > 0) changes[playerId] = fields;
+        });
+
+        Object.keys(prevPlayers).forEach(playerId => {
+            if (!(playerId in nextPlayers)) changes[playerId] = null;
+        });
+
+        return changes;
+    }
+
+    /**
+     * Compute the changes between two game states
+     * @param {Object|null} prev - Previously broadcast state (null if there is none)
+     * @param {Object} next - New state
+     * @returns {Object|null} Changes as described above, or null if nothing changed
+     */
+    function diffState(prev, next) {
+        const changes = {};
+
+        const cells = diffBoard(prev?.board, next.board);
+        if (cells === null) {
+            changes.board = next.board;
+        } else if (cells.length > 0) {
+            changes.cells = cells;
+        }
+
+        const players = diffPlayers(prev?.players, next.players);
+        if (Object.keys(players).length > 0) {
+            changes.players = players;
+        }
+
+        Object.keys(next).forEach(key => {
+            if (SPECIAL_KEYS.includes(key)) return;
+            if (!prev || !isSame(prev[key], next[key])) changes[key] = next[key];
+        });
+
+        return Object.keys(changes).length > 0 ? changes : null;
+    }
+
+    /**
+     * Apply a patch to a state in place
+     * @param {Object} state - State at patch.baseVersion (mutated)
+     * @param {Object} patch - { baseVersion, version, changes }
+     * @returns {Object} The updated state
+     */
+    function applyPatch(state, patch) {
+        const { cells, board, players, ...rest } = patch.changes;
+
+        if (board) state.board = board;
+        (cells || []).forEach(({ x, y, monster }) => {
+            state.board[y][x] = monster;
+        });
+
+        Object.entries(players || {}).forEach(([playerId, fields]) => {
+            if (fields === null) {
+                delete state.players[playerId];
+            } else {
+                state.players[playerId] = { ...state.players[playerId], ...fields };
+            }
+        });
+
+        Object.assign(state, rest);
+        state.version = patch.version;
+        return state;
+    }
+
+    return {
+        diffState,
+        applyPatch
+    };
+});